@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+"use strict";
+
+const { parseArgs } = require("util");
+const { Libero, AuthError, ConnectionError, ProtocolError, ValidationError } = require("../lib/api");
+
+// Exit codes for scripts
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_AUTH = 3;
+const EXIT_UNREACHABLE = 4;
+const EXIT_PARSE = 5;
+
+const SETTINGS = ["led", "pwr", "dist"];
+
+const USAGE = `Usage: hailo-libero [options] <command>
+
+Commands:
+  info                    System info of the device
+  open                    Open the lid
+  get [led|pwr|dist]      Read all settings or one of them
+  set <led|pwr|dist> <n>  Change a setting, more pairs may follow
+  restart                 Restart the device
+  backup                  Print a backup of the settings and the network config
+  watch                   Print changes as JSON lines until stopped
+
+Options:
+  --host <ip>             Device address (env: HAILO_HOST)
+  --port <port>           HTTP port, default 81 (env: HAILO_PORT)
+  --pin <pin>             PIN of the web interface, default hailo (env: HAILO_PIN)
+  --timeout <seconds>     Request timeout, default 10
+  --interval <seconds>    Poll interval of watch, default 5
+
+Output is JSON on stdout, errors are JSON on stderr. Exit codes: 0 ok, 1 failed,
+2 usage or invalid value, 3 PIN rejected, 4 device unreachable, 5 unexpected answer.`;
+
+/**
+ * Exit code of an error
+ * @param {any} error
+ * @returns {number}
+ */
+function exitCode(error) {
+	if (error instanceof ValidationError || String(error && error.code).startsWith("ERR_PARSE_ARGS")) {
+		return EXIT_USAGE;
+	}
+	if (error instanceof AuthError) {
+		return EXIT_AUTH;
+	}
+	if (error instanceof ConnectionError) {
+		return EXIT_UNREACHABLE;
+	}
+	if (error instanceof ProtocolError) {
+		return EXIT_PARSE;
+	}
+	return EXIT_FAILED;
+}
+
+/**
+ * Parse the value pairs of the set command
+ * @param {string[]} args - e.g. ["led", "8", "dist", "60"]
+ * @returns {Record<string, number>}
+ */
+function parseSettings(args) {
+	if (args.length === 0 || args.length % 2 !== 0) {
+		throw new ValidationError("set needs pairs of setting and value");
+	}
+	/** @type {Record<string, number>} */
+	const values = {};
+	for (let i = 0; i < args.length; i += 2) {
+		if (!SETTINGS.includes(args[i])) {
+			throw new ValidationError(`Unknown setting ${args[i]}, use one of ${SETTINGS.join(", ")}`);
+		}
+		values[args[i]] = Number(args[i + 1]);
+	}
+	return values;
+}
+
+/**
+ * Run the command line tool
+ * @param {string[]} argv - Arguments without node and the script
+ * @param {NodeJS.ProcessEnv} env
+ * @param {(line: string) => void} print - Output of results
+ * @returns {Promise<number>} - Exit code, watch only resolves after SIGINT
+ */
+async function run(argv, env, print) {
+	const { values: options, positionals } = parseArgs({
+		args: argv,
+		allowPositionals: true,
+		options: {
+			host: { type: "string", default: env.HAILO_HOST },
+			port: { type: "string", default: env.HAILO_PORT || "81" },
+			pin: { type: "string", default: env.HAILO_PIN || "hailo" },
+			timeout: { type: "string", default: "10" },
+			interval: { type: "string", default: "5" },
+			help: { type: "boolean", short: "h", default: false },
+		},
+	});
+	const [command, ...args] = positionals;
+	if (options.help || !command) {
+		print(USAGE);
+		return options.help ? EXIT_OK : EXIT_USAGE;
+	}
+	if (!options.host) {
+		throw new ValidationError("--host or HAILO_HOST is required");
+	}
+
+	const libero = new Libero({
+		host: options.host,
+		port: Number(options.port),
+		pin: options.pin,
+		timeout: Number(options.timeout) * 1000,
+	});
+	/** @param {any} result */
+	const output = (result) => print(JSON.stringify(result, null, 2));
+
+	switch (command) {
+		case "info":
+			output(await libero.getInfo());
+			return EXIT_OK;
+
+		case "open":
+			await libero.open();
+			output({ success: true });
+			return EXIT_OK;
+
+		case "get": {
+			const settings = await libero.getSettings();
+			if (args[0] && !settings[args[0]]) {
+				throw new ValidationError(`The device has no setting ${args[0]}`);
+			}
+			output(args[0] ? settings[args[0]] : settings);
+			return EXIT_OK;
+		}
+
+		case "set":
+			output(await libero.setSettings(parseSettings(args)));
+			return EXIT_OK;
+
+		case "restart":
+			await libero.restart();
+			output({ success: true });
+			return EXIT_OK;
+
+		case "backup":
+			output(await libero.backup());
+			return EXIT_OK;
+
+		case "watch":
+			return new Promise((resolve) => {
+				/**
+				 * @param {string} event
+				 * @param {Record<string, any>} [data]
+				 */
+				const emit = (event, data = {}) => print(JSON.stringify({ event, time: new Date().toISOString(), ...data }));
+				libero.on("connected", () => emit("connected"));
+				libero.on("disconnected", () => emit("disconnected"));
+				libero.on("infoChanged", (info) => emit("infoChanged", { info }));
+				libero.on("settingsChanged", (changes) => emit("settingsChanged", { changes }));
+				libero.on("opened", () => emit("opened"));
+				libero.on("error", (error) => emit("error", { code: error.code || null, message: error.message }));
+				libero.watch(Number(options.interval) * 1000);
+				process.once("SIGINT", () => {
+					libero.unwatch();
+					resolve(EXIT_OK);
+				});
+			});
+
+		default:
+			throw new ValidationError(`Unknown command ${command}`);
+	}
+}
+
+module.exports = { run, exitCode };
+
+if (require.main === module) {
+	run(process.argv.slice(2), process.env, (line) => console.log(line))
+		.then((code) => {
+			process.exitCode = code;
+		})
+		.catch((error) => {
+			console.error(JSON.stringify({ error: error.message, code: error.code || null }));
+			process.exitCode = exitCode(error);
+		});
+}
@@ -0,0 +1,78 @@
+"use strict";
+
+const path = require("path");
+const { execFile } = require("child_process");
+const { expect } = require("chai");
+const LiberoSimulator = require("../lib/simulator");
+const { run, exitCode } = require("./hailo-libero");
+
+describe("hailo-libero command line tool against the Libero simulator", () => {
+	/** @type {LiberoSimulator} */
+	let simulator;
+	/** @type {NodeJS.ProcessEnv} */
+	let env;
+	/** @type {string[]} */
+	let lines;
+
+	/**
+	 * @param {string[]} argv
+	 * @returns {Promise<number>} - Exit code
+	 */
+	const cli = (argv) =>
+		run(argv, env, (line) => lines.push(line)).catch((error) => exitCode(error));
+
+	beforeEach(async () => {
+		simulator = new LiberoSimulator({ restartDuration: 200, openDuration: 100 });
+		const port = await simulator.start();
+		env = { HAILO_HOST: "127.0.0.1", HAILO_PORT: String(port) };
+		lines = [];
+	});
+
+	afterEach(() => simulator.stop());
+
+	it("should print the system info as JSON", async () => {
+		expect(await cli(["info"])).to.equal(0);
+		expect(JSON.parse(lines[0])).to.include({ model: "Libero30_25266A", firmware: "3.0.4", ready: true });
+	});
+
+	it("should read and change settings", async () => {
+		expect(await cli(["get", "led"])).to.equal(0);
+		expect(JSON.parse(lines[0])).to.deep.equal({ value: 5, min: 1, max: 10 });
+
+		expect(await cli(["set", "led", "8", "dist", "60"])).to.equal(0);
+		expect(simulator.settings.led.value).to.equal(8);
+		expect(simulator.settings.dist.value).to.equal(60);
+	});
+
+	it("should open the lid", async () => {
+		expect(await cli(["open"])).to.equal(0);
+		expect(simulator.openCount).to.equal(1);
+	});
+
+	it("should reject invalid values and usage errors with exit code 2", async () => {
+		expect(await cli(["set", "led", "11"])).to.equal(2);
+		expect(await cli(["set", "volume", "3"])).to.equal(2);
+		expect(await cli(["--bogus", "info"])).to.equal(2);
+		expect(simulator.requests).to.not.include("POST /settings");
+	});
+
+	it("should exit with 3 for a wrong PIN and 4 for an unreachable device", async () => {
+		simulator.wrongPin = true;
+		expect(await cli(["info"])).to.equal(3);
+		await simulator.stop();
+		expect(await cli(["info"])).to.equal(4);
+	});
+
+	it("should set the exit code of the process", (done) => {
+		execFile(
+			process.execPath,
+			[path.join(__dirname, "hailo-libero.js"), "get", "beep"],
+			{ env: { ...process.env, ...env } },
+			(error, stdout, stderr) => {
+				expect(error && error.code).to.equal(2);
+				expect(JSON.parse(stderr)).to.deep.equal({ error: "The device has no setting beep", code: "EINVAL" });
+				done();
+			},
+		);
+	});
+});
@@ -0,0 +1,250 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+const HailoClient = require("./hailoClient");
+const LiberoSimulator = require("./simulator");
+const { HailoError, ConnectionError, AuthError, ProtocolError, DeviceBusyError, ValidationError } = require("./errors");
+const { createBackup } = require("./backup");
+
+/**
+ * Connection options
+ * @typedef {object} LiberoOptions
+ * @property {string} host - IP address or host name of the device
+ * @property {number} [port] - HTTP port (default: 81)
+ * @property {string} [pin] - PIN of the web interface (default: hailo)
+ * @property {number} [timeout] - Request timeout in milliseconds (default: 10000)
+ * @property {{debug: Function, info: Function, warn: Function, error: Function} | null} [logger]
+ */
+
+/**
+ * System info of a device
+ * @typedef {object} LiberoInfo
+ * @property {string | null} model - e.g. Libero30_25266A
+ * @property {string | null} firmware
+ * @property {string | null} status - Status text, e.g. Ready
+ * @property {boolean} ready - Whether the device is idle and operational
+ * @property {string | null} ssid
+ * @property {string | null} ip
+ * @property {string | null} subnet
+ * @property {string | null} compatibility - supported, untested or unsupported
+ */
+
+/**
+ * A range setting of the device
+ * @typedef {object} LiberoSetting
+ * @property {number} value
+ * @property {number} min
+ * @property {number} max
+ */
+
+/**
+ * Hailo Libero for scripts and the hailo-libero command line tool.
+ * The methods reject with the errors of HailoClient (ConnectionError, AuthError, ProtocolError,
+ * DeviceBusyError, ValidationError), all of them with a code like EAUTH, EINVAL or ETIMEDOUT.
+ *
+ * The events of the client are forwarded, for every read of the device and while watch() is polling:
+ * - connected, disconnected
+ * - infoChanged (info: LiberoInfo, previous: LiberoInfo | null)
+ * - settingsChanged (changes: {field, from, to}[])
+ * - opened - the status left "Ready", by the hand sensor or by open()
+ * - error (error: Error) - only if a listener is registered
+ */
+class Libero extends EventEmitter {
+	/**
+	 * @param {LiberoOptions} options
+	 */
+	constructor(options) {
+		super();
+		if (!options || !options.host) {
+			throw new ValidationError("host is required");
+		}
+		this.client = new HailoClient(options.host, options.port || 81, options.pin || "hailo", options.logger || null, {
+			timeout: options.timeout,
+		});
+		/** @type {NodeJS.Timeout | null} */
+		this.watchTimer = null;
+
+		this.client.on("connected", () => this.emit("connected"));
+		this.client.on("disconnected", () => this.emit("disconnected"));
+		this.client.on("infoChanged", (info, previous) =>
+			this.emit("infoChanged", this.toInfo(info), previous && this.toInfo(previous)),
+		);
+		this.client.on("settingsChanged", (settings, previous) => {
+			const changes = previous ? Libero.diff(Libero.toSettings(previous), Libero.toSettings(settings)) : [];
+			if (changes.length) {
+				this.emit("settingsChanged", changes);
+			}
+		});
+		this.client.on("opened", () => this.emit("opened"));
+		this.client.on("error", (error) => {
+			if (this.listenerCount("error")) {
+				this.emit("error", error);
+			}
+		});
+	}
+
+	/**
+	 * Map the parsed info block
+	 * @param {Record<string, any>} info
+	 * @returns {LiberoInfo}
+	 */
+	toInfo(info) {
+		return {
+			model: info.device ?? null,
+			firmware: info.firmware ?? null,
+			status: info.status ?? null,
+			ready: HailoClient.isReadyStatus(info.status),
+			ssid: info.ssid ?? null,
+			ip: info.dhcp_ip ?? null,
+			subnet: info.dhcp_subnet ?? null,
+			compatibility: this.client.compatibility ?? null,
+		};
+	}
+
+	/**
+	 * Range settings of the parsed settings
+	 * @param {Record<string, any>} settings
+	 * @returns {Record<string, LiberoSetting>}
+	 */
+	static toSettings(settings) {
+		/** @type {Record<string, LiberoSetting>} */
+		const ranges = {};
+		for (const [field, input] of Object.entries(settings)) {
+			if (input && typeof input === "object" && Number.isFinite(input.value)) {
+				ranges[field] = { value: input.value, min: input.min, max: input.max };
+			}
+		}
+		return ranges;
+	}
+
+	/**
+	 * Changed values of two reads of the range settings
+	 * @param {Record<string, LiberoSetting>} previous
+	 * @param {Record<string, LiberoSetting>} settings
+	 * @returns {{field: string, from: number, to: number}[]}
+	 */
+	static diff(previous, settings) {
+		return Object.entries(settings)
+			.filter(([field, setting]) => previous[field] && previous[field].value !== setting.value)
+			.map(([field, setting]) => ({ field, from: previous[field].value, to: setting.value }));
+	}
+
+	/**
+	 * Read the system info
+	 * @returns {Promise<LiberoInfo>}
+	 */
+	async getInfo() {
+		return this.toInfo((await this.client.getDeviceInfo()).info);
+	}
+
+	/**
+	 * Read the range settings, e.g. led, pwr and dist
+	 * @returns {Promise<Record<string, LiberoSetting>>}
+	 */
+	async getSettings() {
+		return Libero.toSettings((await this.client.getDeviceInfo()).settings);
+	}
+
+	/**
+	 * Change settings. Values are checked against the range the device reports, the others are kept.
+	 * @param {Record<string, number>} values - e.g. {led: 8}
+	 * @returns {Promise<Record<string, LiberoSetting>>} - The settings the device stored
+	 */
+	async setSettings(values) {
+		const current = await this.getSettings();
+		/** @type {Record<string, number>} */
+		const merged = {};
+		for (const [field, setting] of Object.entries(current)) {
+			merged[field] = setting.value;
+		}
+		for (const [field, value] of Object.entries(values)) {
+			const range = current[field];
+			if (!range) {
+				throw new ValidationError(`The device has no setting ${field}`);
+			}
+			if (!Number.isInteger(value) || value < range.min || value > range.max) {
+				throw new ValidationError(`${field} must be an integer between ${range.min} and ${range.max}`);
+			}
+			merged[field] = value;
+		}
+
+		await this.client.writeSettings(merged);
+		const stored = await this.getSettings();
+		const rejected = Object.keys(values).filter((field) => stored[field].value !== values[field]);
+		if (rejected.length) {
+			throw new ValidationError(`The device did not store ${rejected.join(", ")}`, rejected);
+		}
+		return stored;
+	}
+
+	/**
+	 * Open the lid
+	 * @returns {Promise<void>}
+	 */
+	async open() {
+		await this.client.openLid();
+	}
+
+	/**
+	 * Restart the device. It is unreachable for a while afterwards.
+	 * @returns {Promise<void>}
+	 */
+	async restart() {
+		await this.client.restart();
+	}
+
+	/**
+	 * Read the settings and the network config as backup, in the format of the adapter's backups
+	 * @returns {Promise<import("./backup").Backup>}
+	 */
+	async backup() {
+		const data = await this.client.getDeviceInfo();
+		return createBackup({ id: this.client.ip }, data, data.network);
+	}
+
+	/**
+	 * Poll the device and emit events on changes
+	 * @param {number} [interval] - Poll interval in milliseconds (default: 5000)
+	 * @returns {this}
+	 */
+	watch(interval = 5000) {
+		this.unwatch();
+		this.watchTimer = setInterval(() => this.poll(), interval);
+		this.poll();
+		return this;
+	}
+
+	/**
+	 * Stop watching
+	 */
+	unwatch() {
+		if (this.watchTimer) {
+			clearInterval(this.watchTimer);
+			this.watchTimer = null;
+		}
+	}
+
+	/**
+	 * One poll of watch(), the client emits what changed
+	 * @returns {Promise<void>}
+	 */
+	async poll() {
+		try {
+			await this.client.getDeviceInfo();
+		} catch (error) {
+			// Emitted as error event by the client
+		}
+	}
+}
+
+module.exports = {
+	Libero,
+	HailoClient,
+	LiberoSimulator,
+	HailoError,
+	ConnectionError,
+	AuthError,
+	ProtocolError,
+	DeviceBusyError,
+	ValidationError,
+};
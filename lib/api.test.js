@@ -0,0 +1,82 @@
+"use strict";
+
+const { expect } = require("chai");
+const { Libero, LiberoSimulator } = require("./api");
+
+describe("Libero API against the Libero simulator", () => {
+	/** @type {LiberoSimulator} */
+	let simulator;
+	/** @type {Libero} */
+	let libero;
+
+	beforeEach(async () => {
+		simulator = new LiberoSimulator({ restartDuration: 200, openDuration: 100 });
+		const port = await simulator.start();
+		libero = new Libero({ host: "127.0.0.1", port, timeout: 2000 });
+	});
+
+	afterEach(async () => {
+		libero.unwatch();
+		await simulator.stop();
+	});
+
+	it("should require a host", () => {
+		// @ts-expect-error
+		expect(() => new Libero({})).to.throw().with.property("code", "EINVAL");
+	});
+
+	it("should read the info and the settings", async () => {
+		expect(await libero.getInfo()).to.include({ model: "Libero30_25266A", firmware: "3.0.4", status: "Ready", ready: true });
+		expect(await libero.getSettings()).to.deep.equal({
+			led: { value: 5, min: 1, max: 10 },
+			pwr: { value: 5, min: 1, max: 10 },
+			dist: { value: 50, min: 31, max: 100 },
+		});
+	});
+
+	it("should change settings and reject values out of range", async () => {
+		const stored = await libero.setSettings({ led: 8 });
+		expect(stored.led.value).to.equal(8);
+		expect(stored.dist.value).to.equal(50);
+
+		let error;
+		try {
+			await libero.setSettings({ dist: 20 });
+		} catch (e) {
+			error = e;
+		}
+		expect(error).to.have.property("code", "EINVAL");
+		expect(simulator.settings.dist.value).to.equal(50);
+	});
+
+	it("should reject with EAUTH for a wrong PIN", async () => {
+		simulator.wrongPin = true;
+		let error;
+		try {
+			await libero.open();
+		} catch (e) {
+			error = e;
+		}
+		expect(error).to.have.property("code", "EAUTH");
+		expect(simulator.openCount).to.equal(0);
+	});
+
+	it("should emit events while watching", async () => {
+		/** @type {string[]} */
+		const events = [];
+		/** @type {any[]} */
+		const changes = [];
+		libero.on("connected", () => events.push("connected"));
+		libero.on("opened", () => events.push("opened"));
+		libero.on("settingsChanged", (list) => changes.push(...list));
+
+		libero.watch(30);
+		await new Promise((resolve) => setTimeout(resolve, 60));
+		simulator.settings.led.value = 3;
+		await libero.open();
+		await new Promise((resolve) => setTimeout(resolve, 60));
+
+		expect(events).to.deep.equal(["connected", "opened"]);
+		expect(changes).to.deep.equal([{ field: "led", from: 5, to: 3 }]);
+	});
+});
@@ -0,0 +1,111 @@
+"use strict";
+
+// Version of the backup format. Backups of newer versions are rejected.
+const BACKUP_VERSION = 1;
+
+/**
+ * Settings and network config of a device as stored in the file storage of the instance
+ * @typedef {object} Backup
+ * @property {number} version - Format version
+ * @property {string} created - ISO timestamp
+ * @property {{id: string, name?: string, model?: string, firmware?: string}} device - Device the backup was taken from
+ * @property {Record<string, {value: number, min: number, max: number}>} settings - Range inputs by name
+ * @property {import("./networkConfig").NetworkConfig | null} network - WiFi station config, without the password
+ */
+
+/**
+ * Create a backup of the data read from a device
+ * @param {{id: string, name?: string}} device
+ * @param {{settings: Record<string, any>, info: Record<string, any>}} data - As parsed by parseSettingsAndInfoFromHtml
+ * @param {import("./networkConfig").NetworkConfig | null} network
+ * @param {Date} [now]
+ * @returns {Backup}
+ */
+function createBackup(device, data, network, now = new Date()) {
+	/** @type {Backup["settings"]} */
+	const settings = {};
+	for (const [field, input] of Object.entries(data.settings || {})) {
+		if (input && typeof input === "object" && Number.isFinite(input.value)) {
+			settings[field] = { value: input.value, min: input.min, max: input.max };
+		}
+	}
+	return {
+		version: BACKUP_VERSION,
+		created: now.toISOString(),
+		device: {
+			id: device.id,
+			name: device.name,
+			model: data.info && data.info.device,
+			firmware: data.info && data.info.firmware,
+		},
+		settings,
+		network: network ? { ...network, password: undefined } : null,
+	};
+}
+
+/**
+ * Parse and check a backup file
+ * @param {string} text
+ * @returns {Backup}
+ */
+function parseBackup(text) {
+	let backup;
+	try {
+		backup = JSON.parse(text);
+	} catch (error) {
+		throw new Error(`Backup is not valid JSON: ${error.message}`);
+	}
+	if (!backup || typeof backup !== "object" || !Number.isInteger(backup.version)) {
+		throw new Error("Backup has no version");
+	}
+	if (backup.version > BACKUP_VERSION) {
+		throw new Error(`Backup version ${backup.version} is newer than the supported version ${BACKUP_VERSION}`);
+	}
+	if (!backup.settings || typeof backup.settings !== "object") {
+		throw new Error("Backup contains no settings");
+	}
+	return backup;
+}
+
+/**
+ * Path of a new backup in the file storage of the instance
+ * @param {string} deviceId
+ * @param {Date} [now]
+ * @returns {string} - e.g. backups/kitchen/2024-06-21T12-00-00-000Z.json
+ */
+function backupFileName(deviceId, now = new Date()) {
+	return `backups/${deviceId}/${now.toISOString().replace(/[:.]/g, "-")}.json`;
+}
+
+/**
+ * Compare a backup with the current settings of the target device
+ * @param {Backup} backup
+ * @param {Record<string, any>} current - Settings as parsed by parseSettingsAndInfoFromHtml
+ * @returns {{values: Record<string, number>, changes: {field: string, from: number, to: number}[], skipped: string[], errors: string[]}}
+ */
+function planRestore(backup, current) {
+	/** @type {Record<string, number>} */
+	const values = {};
+	const changes = [];
+	const skipped = [];
+	const errors = [];
+	for (const [field, saved] of Object.entries(backup.settings)) {
+		const range = current[field];
+		if (!range || typeof range !== "object" || !saved || !Number.isFinite(saved.value)) {
+			// e.g. a backup of a newer firmware with more inputs
+			skipped.push(field);
+			continue;
+		}
+		if (saved.value < range.min || saved.value > range.max) {
+			errors.push(`${field} = ${saved.value} is outside the range ${range.min}..${range.max} of the device`);
+			continue;
+		}
+		if (saved.value !== range.value) {
+			values[field] = saved.value;
+			changes.push({ field, from: range.value, to: saved.value });
+		}
+	}
+	return { values, changes, skipped, errors };
+}
+
+module.exports = { BACKUP_VERSION, createBackup, parseBackup, backupFileName, planRestore };
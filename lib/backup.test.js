@@ -0,0 +1,56 @@
+"use strict";
+
+const { expect } = require("chai");
+const { backupFileName, createBackup, parseBackup, planRestore } = require("./backup");
+
+const data = {
+	settings: {
+		led: { value: 5, min: 1, max: 10 },
+		pwr: { value: 3, min: 1, max: 5 },
+		dist: { value: 50, min: 31, max: 100 },
+		ipconf: false,
+	},
+	info: { device: "Libero30_25266A", firmware: "3.0.4" },
+};
+
+describe("backup => createBackup and parseBackup", () => {
+	it("should store the range inputs and the network config without the password", () => {
+		const network = { ssid: "Home", password: "secret", dhcp: true };
+		const backup = createBackup({ id: "kitchen" }, data, network, new Date(Date.UTC(2024, 5, 21, 12)));
+		expect(backup).to.deep.include({ version: 1, created: "2024-06-21T12:00:00.000Z" });
+		expect(backup.device).to.include({ id: "kitchen", model: "Libero30_25266A", firmware: "3.0.4" });
+		expect(Object.keys(backup.settings)).to.deep.equal(["led", "pwr", "dist"]);
+
+		const parsed = parseBackup(JSON.stringify(backup));
+		expect(parsed.network).to.deep.equal({ ssid: "Home", dhcp: true });
+		expect(parsed.settings.dist).to.deep.equal({ value: 50, min: 31, max: 100 });
+	});
+
+	it("should reject broken and newer backups", () => {
+		expect(() => parseBackup("{")).to.throw(/not valid JSON/);
+		expect(() => parseBackup(JSON.stringify({ version: 99, settings: {} }))).to.throw(/newer/);
+		expect(() => parseBackup(JSON.stringify({ version: 1 }))).to.throw(/no settings/);
+	});
+
+	it("should name backups by device and time", () => {
+		expect(backupFileName("kitchen", new Date(Date.UTC(2024, 5, 21, 12)))).to.equal(
+			"backups/kitchen/2024-06-21T12-00-00-000Z.json",
+		);
+	});
+});
+
+describe("backup => planRestore", () => {
+	it("should list the changes and check them against the range of the target", () => {
+		const backup = createBackup({ id: "kitchen" }, data, null);
+		backup.settings.led.value = 8;
+		backup.settings.beep = { value: 1, min: 0, max: 3 };
+		const target = { ...data.settings, dist: { value: 60, min: 55, max: 100 } };
+
+		expect(planRestore(backup, target)).to.deep.equal({
+			values: { led: 8 },
+			changes: [{ field: "led", from: 5, to: 8 }],
+			skipped: ["beep"],
+			errors: ["dist = 50 is outside the range 55..100 of the device"],
+		});
+	});
+});
@@ -0,0 +1,123 @@
+"use strict";
+
+/**
+ * An entry of the event list of the dashboard
+ * @typedef {object} DashboardEvent
+ * @property {number} ts
+ * @property {string} event - connected, disconnected, opened, settingsChanged, restart or error
+ * @property {string} details
+ */
+
+/**
+ * What the dashboard shows of a device
+ * @typedef {object} DashboardSnapshot
+ * @property {string} id
+ * @property {boolean} connected
+ * @property {boolean} restarting
+ * @property {string | null} pollMode
+ * @property {Record<string, any> | null} info - System info block of the last read
+ * @property {Record<string, any> | null} settings - Inputs of the last read
+ * @property {DashboardEvent[]} events
+ */
+
+/** Events kept per device */
+const DASHBOARD_EVENTS = 20;
+
+/** Form fields of the sliders, by range input of the device */
+const SLIDERS = {
+	led: "_dashboardLedBrightness",
+	pwr: "_dashboardEjectionForce",
+	dist: "_dashboardDistance",
+};
+
+/**
+ * Add an event to the list of a device and drop the oldest ones
+ * @param {DashboardEvent[]} events - Changed in place
+ * @param {string} event
+ * @param {string} [details]
+ * @param {number} [now]
+ */
+function recordEvent(events, event, details = "", now = Date.now()) {
+	events.push({ ts: now, event, details });
+	events.splice(0, events.length - DASHBOARD_EVENTS);
+}
+
+/**
+ * Changed range inputs of two reads of the homepage, e.g. "led 5 -> 3"
+ * @param {Record<string, any>} previous
+ * @param {Record<string, any>} settings
+ * @returns {string}
+ */
+function describeSettingChanges(previous, settings) {
+	return Object.keys(SLIDERS)
+		.filter((field) => settings[field] && previous[field] && settings[field].value !== previous[field].value)
+		.map((field) => `${field} ${previous[field].value} -> ${settings[field].value}`)
+		.join(", ");
+}
+
+/**
+ * Form values of the dashboard tab, sent back to the admin page as native
+ * @param {DashboardSnapshot} snapshot
+ * @returns {Record<string, any>}
+ */
+function dashboardNative(snapshot) {
+	const info = snapshot.info || {};
+	const settings = snapshot.settings || {};
+	/** @type {Record<string, any>} */
+	const native = {
+		_dashboardDevice: snapshot.id,
+		_dashboardConnection: snapshot.restarting ? "restarting" : snapshot.connected ? "online" : "offline",
+		_dashboardModel: info.device || "",
+		_dashboardFirmware: info.firmware || "",
+		_dashboardSsid: info.ssid || "",
+		_dashboardIp: info.dhcp_ip || "",
+		_dashboardStatus: info.status || "",
+		_dashboardPollMode: snapshot.pollMode || "",
+		// Newest first
+		_dashboardEvents: snapshot.events
+			.slice()
+			.reverse()
+			.map((entry) => ({
+				time: new Date(entry.ts).toLocaleString(),
+				event: entry.event,
+				details: entry.details,
+			})),
+	};
+	for (const [field, key] of Object.entries(SLIDERS)) {
+		if (settings[field] && Number.isFinite(settings[field].value)) {
+			native[key] = settings[field].value;
+		}
+	}
+	return native;
+}
+
+/**
+ * Check the slider values against the limits the device reported in its last read
+ * @param {Record<string, any>} values - Values by range input, null or missing for unchanged
+ * @param {Record<string, any> | null} settings - Inputs of the last read
+ * @returns {{values: Record<string, number>, errors: string[]}} - Values that differ from the device
+ */
+function planSettings(values, settings) {
+	/** @type {Record<string, number>} */
+	const changed = {};
+	const errors = [];
+	for (const field of Object.keys(SLIDERS)) {
+		if (values[field] === null || values[field] === undefined || values[field] === "") {
+			continue;
+		}
+		const range = settings && settings[field];
+		if (!range) {
+			errors.push(`The device has no setting ${field}`);
+			continue;
+		}
+		const value = Number(values[field]);
+		if (!Number.isInteger(value) || value < range.min || value > range.max) {
+			errors.push(`${field} must be an integer between ${range.min} and ${range.max}`);
+		} else if (value !== range.value) {
+			changed[field] = value;
+		}
+	}
+	return { values: changed, errors };
+}
+
+module.exports = { DASHBOARD_EVENTS, SLIDERS, recordEvent, describeSettingChanges, dashboardNative, planSettings };
@@ -0,0 +1,101 @@
+"use strict";
+
+const { expect } = require("chai");
+const {
+	DASHBOARD_EVENTS,
+	dashboardNative,
+	describeSettingChanges,
+	planSettings,
+	recordEvent,
+} = require("./dashboard");
+
+const settings = {
+	led: { value: 5, min: 1, max: 10 },
+	pwr: { value: 5, min: 1, max: 10 },
+	dist: { value: 50, min: 31, max: 100 },
+	ipconf: false,
+};
+
+describe("dashboard => recordEvent and describeSettingChanges", () => {
+	it("should keep the newest events", () => {
+		/** @type {import("./dashboard").DashboardEvent[]} */
+		const events = [];
+		for (let i = 0; i < DASHBOARD_EVENTS + 5; i++) {
+			recordEvent(events, "opened", `#${i}`, i);
+		}
+		expect(events).to.have.length(DASHBOARD_EVENTS);
+		expect(events[0].details).to.equal("#5");
+	});
+
+	it("should describe changed range inputs", () => {
+		const changed = { ...settings, led: { value: 3, min: 1, max: 10 } };
+		expect(describeSettingChanges(settings, changed)).to.equal("led 5 -> 3");
+		expect(describeSettingChanges(settings, settings)).to.equal("");
+	});
+});
+
+describe("dashboard => dashboardNative", () => {
+	it("should map status, sliders and events to the form fields", () => {
+		const native = dashboardNative({
+			id: "kitchen",
+			connected: true,
+			restarting: false,
+			pollMode: "fast",
+			info: { device: "Libero30_25266A", firmware: "3.0.4", status: "Ready", ssid: "Home", dhcp_ip: "192.168.10.25" },
+			settings,
+			events: [
+				{ ts: 1, event: "connected", details: "" },
+				{ ts: 2, event: "opened", details: "Opening" },
+			],
+		});
+		expect(native).to.include({
+			_dashboardDevice: "kitchen",
+			_dashboardConnection: "online",
+			_dashboardModel: "Libero30_25266A",
+			_dashboardIp: "192.168.10.25",
+			_dashboardStatus: "Ready",
+			_dashboardPollMode: "fast",
+			_dashboardLedBrightness: 5,
+			_dashboardDistance: 50,
+		});
+		expect(native._dashboardEvents.map((/** @type {any} */ row) => row.event)).to.deep.equal(["opened", "connected"]);
+	});
+
+	it("should show an offline device without values", () => {
+		const native = dashboardNative({
+			id: "garage",
+			connected: false,
+			restarting: false,
+			pollMode: "offline",
+			info: null,
+			settings: null,
+			events: [],
+		});
+		expect(native).to.include({ _dashboardConnection: "offline", _dashboardFirmware: "" });
+		expect(native).to.not.have.property("_dashboardLedBrightness");
+	});
+});
+
+describe("dashboard => planSettings", () => {
+	it("should return the changed values only", () => {
+		expect(planSettings({ led: 8, pwr: 5, dist: null }, settings)).to.deep.equal({ values: { led: 8 }, errors: [] });
+	});
+
+	it("should apply 0 and skip empty sliders", () => {
+		const ranges = { ...settings, led: { value: 5, min: 0, max: 10 } };
+		expect(planSettings({ led: 0, pwr: "", dist: undefined }, ranges)).to.deep.equal({
+			values: { led: 0 },
+			errors: [],
+		});
+	});
+
+	it("should reject values outside the limits of the device", () => {
+		const plan = planSettings({ dist: 20, led: 2.5 }, settings);
+		expect(plan.values).to.deep.equal({});
+		expect(plan.errors).to.deep.equal([
+			"led must be an integer between 1 and 10",
+			"dist must be an integer between 31 and 100",
+		]);
+		expect(planSettings({ led: 3 }, null).errors).to.deep.equal(["The device has no setting led"]);
+	});
+});
@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * A row of the device table in the instance configuration
+ * @typedef {object} DeviceConfig
+ * @property {boolean} [enabled]
+ * @property {string} [name]
+ * @property {string} ip
+ * @property {number} [port]
+ * @property {string} [password]
+ */
+
+/**
+ * Rows of the device table in the native part of the instance config.
+ * Falls back to the single-device settings of older versions.
+ * @param {Record<string, any>} native
+ * @param {(value: string) => string} decrypt - Decrypts the passwords of the table rows
+ * @returns {{rows: DeviceConfig[], legacy: boolean}} - legacy is set for a single-device config
+ */
+function configuredDevices(native, decrypt) {
+	if (Array.isArray(native.devices) && native.devices.length > 0) {
+		const rows = native.devices
+			.filter((row) => row && row.ip)
+			.map((row) => ({
+				...row,
+				password: row.password ? decrypt(row.password) : "hailo",
+			}));
+		return { rows, legacy: false };
+	}
+
+	if (native.deviceIp) {
+		// The legacy password is an encryptedNative field, the adapter receives it decrypted
+		const row = {
+			enabled: true,
+			name: "Hailo Libero",
+			ip: native.deviceIp,
+			port: native.devicePort,
+			password: native.password,
+		};
+		return { rows: [row], legacy: true };
+	}
+
+	return { rows: [], legacy: false };
+}
+
+/**
+ * Build a stable object id for a device row
+ * @param {DeviceConfig} row
+ * @param {Set<string>} usedIds - Ids already handed out, to avoid collisions
+ * @param {RegExp} forbiddenChars - FORBIDDEN_CHARS of the adapter
+ * @returns {string}
+ */
+function deviceId(row, usedIds, forbiddenChars) {
+	const base =
+		String(row.name || row.ip)
+			.trim()
+			.toLowerCase()
+			.replace(forbiddenChars, "_")
+			.replace(/[^a-z0-9_-]/g, "_") || "device";
+	let id = base;
+	for (let i = 2; usedIds.has(id); i++) {
+		id = `${base}_${i}`;
+	}
+	usedIds.add(id);
+	return id;
+}
+
+module.exports = { configuredDevices, deviceId };
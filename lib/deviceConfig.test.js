@@ -0,0 +1,66 @@
+"use strict";
+
+const { expect } = require("chai");
+const { configuredDevices, deviceId } = require("./deviceConfig");
+
+// FORBIDDEN_CHARS of adapter-core
+const FORBIDDEN_CHARS = /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu;
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const decrypt = (value) => value.replace(/^enc:/, "");
+
+describe("deviceConfig => configuredDevices", () => {
+	it("should read the rows with an IP address and decrypt their passwords", () => {
+		const { rows, legacy } = configuredDevices(
+			{
+				devices: [
+					{ enabled: true, name: "Kitchen", ip: "192.168.10.25", port: 81, password: "enc:1234" },
+					{ enabled: true, name: "Empty" },
+					null,
+					{ enabled: false, name: "Garage", ip: "192.168.10.26" },
+				],
+				deviceIp: "192.168.4.1",
+			},
+			decrypt,
+		);
+		expect(legacy).to.equal(false);
+		expect(rows).to.deep.equal([
+			{ enabled: true, name: "Kitchen", ip: "192.168.10.25", port: 81, password: "1234" },
+			{ enabled: false, name: "Garage", ip: "192.168.10.26", password: "hailo" },
+		]);
+	});
+
+	it("should fall back to the single-device config of older versions", () => {
+		const { rows, legacy } = configuredDevices(
+			{ devices: [], deviceIp: "192.168.4.1", devicePort: 81, password: "hailo" },
+			decrypt,
+		);
+		expect(legacy).to.equal(true);
+		expect(rows).to.deep.equal([
+			{ enabled: true, name: "Hailo Libero", ip: "192.168.4.1", port: 81, password: "hailo" },
+		]);
+		expect(configuredDevices({ devices: [] }, decrypt)).to.deep.equal({ rows: [], legacy: false });
+	});
+});
+
+describe("deviceConfig => deviceId", () => {
+	it("should build ids from the name or the IP address", () => {
+		const usedIds = new Set();
+		expect(deviceId({ name: " Küche Links ", ip: "192.168.10.25" }, usedIds, FORBIDDEN_CHARS)).to.equal(
+			"k_che_links",
+		);
+		expect(deviceId({ ip: "192.168.10.26" }, usedIds, FORBIDDEN_CHARS)).to.equal("192_168_10_26");
+		expect(deviceId({ name: "***", ip: "192.168.10.27" }, usedIds, FORBIDDEN_CHARS)).to.equal("_");
+	});
+
+	it("should not hand out an id twice", () => {
+		const usedIds = new Set();
+		const ids = ["Bin", "bin", "BIN"].map((name) =>
+			deviceId({ name, ip: "192.168.10.25" }, usedIds, FORBIDDEN_CHARS),
+		);
+		expect(ids).to.deep.equal(["bin", "bin_2", "bin_3"]);
+	});
+});
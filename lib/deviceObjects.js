@@ -0,0 +1,1114 @@
+"use strict";
+
+/**
+ * Object definitions created below every device (devices.<id>.*).
+ * Keys are relative to the device object. The roles are chosen so that the type detector
+ * finds a lock (control.unlocked with control.open as open action) and the LED as a dimmer.
+ * switch.lock means true = unlocked, so the lock role is on control.unlocked, not on control.locked.
+ * control.open must stay the only state with the plain "button" role, the detector prefers it then.
+ * @type {Record<string, ioBroker.SettableObject>}
+ */
+const deviceObjects = {
+	info: {
+		type: "channel",
+		common: {
+			name: "Information",
+		},
+		native: {},
+	},
+	"info.connection": {
+		type: "state",
+		common: {
+			name: {
+				en: "Device connection status",
+				de: "Geräteverbindungsstatus",
+				ru: "Статус подключения устройства",
+				pt: "Status de conexão do dispositivo",
+				nl: "Apparaat verbindingsstatus",
+				fr: "État de connexion de l'appareil",
+				it: "Stato connessione dispositivo",
+				es: "Estado de conexión del dispositivo",
+				pl: "Status połączenia urządzenia",
+				uk: "Статус підключення пристрою",
+				"zh-cn": "设备连接状态",
+			},
+			type: "boolean",
+			role: "indicator.reachable",
+			read: true,
+			write: false,
+			def: false,
+		},
+		native: {},
+	},
+	"info.firmware": {
+		type: "state",
+		common: {
+			name: {
+				en: "Firmware version",
+				de: "Firmware-Version",
+				ru: "Версия прошивки",
+				pt: "Versão do firmware",
+				nl: "Firmwareversie",
+				fr: "Version du firmware",
+				it: "Versione firmware",
+				es: "Versión de firmware",
+				pl: "Wersja oprogramowania",
+				uk: "Версія прошивки",
+				"zh-cn": "固件版本",
+			},
+			type: "string",
+			role: "info.firmware",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.model": {
+		type: "state",
+		common: {
+			name: {
+				en: "Device model",
+				de: "Gerätemodell",
+				ru: "Модель устройства",
+				pt: "Modelo do dispositivo",
+				nl: "Apparaatmodel",
+				fr: "Modèle d'appareil",
+				it: "Modello dispositivo",
+				es: "Modelo del dispositivo",
+				pl: "Model urządzenia",
+				uk: "Модель пристрою",
+				"zh-cn": "设备型号",
+			},
+			type: "string",
+			role: "info.name",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.status": {
+		type: "state",
+		common: {
+			name: {
+				en: "Device status",
+				de: "Gerätestatus",
+				ru: "Состояние устройства",
+				pt: "Estado do dispositivo",
+				nl: "Apparaatstatus",
+				fr: "État de l'appareil",
+				it: "Stato del dispositivo",
+				es: "Estado del dispositivo",
+				pl: "Stan urządzenia",
+				uk: "Стан пристрою",
+				"zh-cn": "设备状态",
+			},
+			type: "string",
+			role: "info.status",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.ready": {
+		type: "state",
+		common: {
+			name: {
+				en: "Device ready",
+				de: "Gerät bereit",
+				ru: "Устройство готово",
+				pt: "Dispositivo pronto",
+				nl: "Apparaat gereed",
+				fr: "Appareil prêt",
+				it: "Dispositivo pronto",
+				es: "Dispositivo listo",
+				pl: "Urządzenie gotowe",
+				uk: "Пристрій готовий",
+				"zh-cn": "设备就绪",
+			},
+			type: "boolean",
+			role: "indicator",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.ssid": {
+		type: "state",
+		common: {
+			name: {
+				en: "Connected WiFi network",
+				de: "Verbundenes WLAN",
+				ru: "Подключенная сеть WiFi",
+				pt: "Rede WiFi conectada",
+				nl: "Verbonden wifi-netwerk",
+				fr: "Réseau WiFi connecté",
+				it: "Rete WiFi connessa",
+				es: "Red WiFi conectada",
+				pl: "Połączona sieć WiFi",
+				uk: "Підключена мережа WiFi",
+				"zh-cn": "已连接的 WiFi 网络",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.ip": {
+		type: "state",
+		common: {
+			name: {
+				en: "Station IP address",
+				de: "IP-Adresse im WLAN",
+				ru: "IP-адрес станции",
+				pt: "Endereço IP da estação",
+				nl: "IP-adres van station",
+				fr: "Adresse IP de la station",
+				it: "Indirizzo IP della stazione",
+				es: "Dirección IP de la estación",
+				pl: "Adres IP stacji",
+				uk: "IP-адреса станції",
+				"zh-cn": "站点 IP 地址",
+			},
+			type: "string",
+			role: "info.ip",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.subnet": {
+		type: "state",
+		common: {
+			name: {
+				en: "Station subnet mask",
+				de: "Subnetzmaske im WLAN",
+				ru: "Маска подсети станции",
+				pt: "Máscara de sub-rede da estação",
+				nl: "Subnetmasker van station",
+				fr: "Masque de sous-réseau de la station",
+				it: "Subnet mask della stazione",
+				es: "Máscara de subred de la estación",
+				pl: "Maska podsieci stacji",
+				uk: "Маска підмережі станції",
+				"zh-cn": "站点子网掩码",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.dhcp": {
+		type: "state",
+		common: {
+			name: {
+				en: "IP address via DHCP",
+				de: "IP-Adresse per DHCP",
+				ru: "IP-адрес через DHCP",
+				pt: "Endereço IP via DHCP",
+				nl: "IP-adres via DHCP",
+				fr: "Adresse IP via DHCP",
+				it: "Indirizzo IP tramite DHCP",
+				es: "Dirección IP por DHCP",
+				pl: "Adres IP przez DHCP",
+				uk: "IP-адреса через DHCP",
+				"zh-cn": "通过 DHCP 获取 IP 地址",
+			},
+			type: "boolean",
+			role: "indicator",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.autoRestarts": {
+		type: "state",
+		common: {
+			name: {
+				en: "Automatic restarts by the watchdog",
+				de: "Automatische Neustarts durch den Watchdog",
+				ru: "Автоматические перезапуски сторожевым таймером",
+				pt: "Reinícios automáticos pelo watchdog",
+				nl: "Automatische herstarts door de watchdog",
+				fr: "Redémarrages automatiques par le watchdog",
+				it: "Riavvii automatici dal watchdog",
+				es: "Reinicios automáticos por el watchdog",
+				pl: "Automatyczne restarty przez watchdog",
+				uk: "Автоматичні перезапуски сторожовим таймером",
+				"zh-cn": "看门狗自动重启次数",
+			},
+			type: "number",
+			role: "value",
+			read: true,
+			write: false,
+			def: 0,
+		},
+		native: {},
+	},
+	"info.compatibility": {
+		type: "state",
+		common: {
+			name: {
+				en: "Firmware compatibility",
+				de: "Firmware-Kompatibilität",
+				ru: "Совместимость прошивки",
+				pt: "Compatibilidade do firmware",
+				nl: "Firmwarecompatibiliteit",
+				fr: "Compatibilité du firmware",
+				it: "Compatibilità del firmware",
+				es: "Compatibilidad del firmware",
+				pl: "Zgodność oprogramowania układowego",
+				uk: "Сумісність прошивки",
+				"zh-cn": "固件兼容性",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: false,
+			states: {
+				supported: "supported",
+				untested: "untested",
+				unsupported: "unsupported",
+			},
+		},
+		native: {},
+	},
+	"info.lastError": {
+		type: "state",
+		common: {
+			name: {
+				en: "Last error",
+				de: "Letzter Fehler",
+				ru: "Последняя ошибка",
+				pt: "Último erro",
+				nl: "Laatste fout",
+				fr: "Dernière erreur",
+				it: "Ultimo errore",
+				es: "Último error",
+				pl: "Ostatni błąd",
+				uk: "Остання помилка",
+				"zh-cn": "最后错误",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: false,
+			def: "",
+		},
+		native: {},
+	},
+	"info.lastSeen": {
+		type: "state",
+		common: {
+			name: {
+				en: "Last answer of the device",
+				de: "Letzte Antwort des Geräts",
+				ru: "Последний ответ устройства",
+				pt: "Última resposta do dispositivo",
+				nl: "Laatste antwoord van het apparaat",
+				fr: "Dernière réponse de l'appareil",
+				it: "Ultima risposta del dispositivo",
+				es: "Última respuesta del dispositivo",
+				pl: "Ostatnia odpowiedź urządzenia",
+				uk: "Остання відповідь пристрою",
+				"zh-cn": "设备最后响应",
+			},
+			type: "number",
+			role: "date",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.reconnectAttempts": {
+		type: "state",
+		common: {
+			name: {
+				en: "Failed connection attempts in a row",
+				de: "Fehlgeschlagene Verbindungsversuche in Folge",
+				ru: "Неудачные попытки подключения подряд",
+				pt: "Tentativas de conexão falhadas seguidas",
+				nl: "Mislukte verbindingspogingen op rij",
+				fr: "Tentatives de connexion échouées consécutives",
+				it: "Tentativi di connessione falliti consecutivi",
+				es: "Intentos de conexión fallidos seguidos",
+				pl: "Nieudane próby połączenia z rzędu",
+				uk: "Невдалі спроби підключення поспіль",
+				"zh-cn": "连续连接失败次数",
+			},
+			type: "number",
+			role: "value",
+			read: true,
+			write: false,
+			def: 0,
+		},
+		native: {},
+	},
+	"info.latency": {
+		type: "state",
+		common: {
+			name: {
+				en: "Round trip time",
+				de: "Antwortzeit",
+				ru: "Время отклика",
+				pt: "Tempo de resposta",
+				nl: "Responstijd",
+				fr: "Temps de réponse",
+				it: "Tempo di risposta",
+				es: "Tiempo de respuesta",
+				pl: "Czas odpowiedzi",
+				uk: "Час відповіді",
+				"zh-cn": "往返时间",
+			},
+			type: "number",
+			role: "value",
+			unit: "ms",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"info.pollMode": {
+		type: "state",
+		common: {
+			name: {
+				en: "Poll mode",
+				de: "Abfragemodus",
+				ru: "Режим опроса",
+				pt: "Modo de consulta",
+				nl: "Pollingmodus",
+				fr: "Mode d'interrogation",
+				it: "Modalità di interrogazione",
+				es: "Modo de sondeo",
+				pl: "Tryb odpytywania",
+				uk: "Режим опитування",
+				"zh-cn": "轮询模式",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: false,
+			states: {
+				fast: "fast",
+				normal: "normal",
+				idle: "idle",
+				night: "night",
+				offline: "offline",
+			},
+		},
+		native: {},
+	},
+	control: {
+		type: "channel",
+		common: {
+			name: "Control",
+		},
+		native: {},
+	},
+	"control.open": {
+		type: "state",
+		common: {
+			name: {
+				en: "Open bin lid",
+				de: "Deckel öffnen",
+				ru: "Открыть крышку",
+				pt: "Abrir tampa",
+				nl: "Deksel openen",
+				fr: "Ouvrir le couvercle",
+				it: "Apri coperchio",
+				es: "Abrir tapa",
+				pl: "Otwórz pokrywę",
+				uk: "Відкрити кришку",
+				"zh-cn": "打开盖子",
+			},
+			type: "boolean",
+			role: "button",
+			read: false,
+			write: true,
+		},
+		native: {},
+	},
+	"control.restart": {
+		type: "state",
+		common: {
+			name: {
+				en: "Restart device",
+				de: "Gerät neu starten",
+				ru: "Перезапустить устройство",
+				pt: "Reiniciar dispositivo",
+				nl: "Apparaat herstarten",
+				fr: "Redémarrer l'appareil",
+				it: "Riavvia dispositivo",
+				es: "Reiniciar dispositivo",
+				pl: "Uruchom ponownie urządzenie",
+				uk: "Перезапустити пристрій",
+				"zh-cn": "重启设备",
+			},
+			type: "boolean",
+			role: "button.restart",
+			read: false,
+			write: true,
+		},
+		native: {},
+	},
+	"control.refresh": {
+		type: "state",
+		common: {
+			name: {
+				en: "Read the device now",
+				de: "Gerät jetzt abfragen",
+				ru: "Опросить устройство сейчас",
+				pt: "Consultar o dispositivo agora",
+				nl: "Apparaat nu uitlezen",
+				fr: "Interroger l'appareil maintenant",
+				it: "Interroga il dispositivo ora",
+				es: "Consultar el dispositivo ahora",
+				pl: "Odczytaj urządzenie teraz",
+				uk: "Опитати пристрій зараз",
+				"zh-cn": "立即读取设备",
+			},
+			type: "boolean",
+			role: "button.refresh",
+			read: false,
+			write: true,
+		},
+		native: {},
+	},
+	"control.openAndHold": {
+		type: "state",
+		common: {
+			name: {
+				en: "Keep opening (cleaning)",
+				de: "Offen halten (Reinigung)",
+				ru: "Держать открытым (чистка)",
+				pt: "Manter aberto (limpeza)",
+				nl: "Open houden (reiniging)",
+				fr: "Maintenir ouvert (nettoyage)",
+				it: "Mantieni aperto (pulizia)",
+				es: "Mantener abierto (limpieza)",
+				pl: "Utrzymuj otwarte (czyszczenie)",
+				uk: "Тримати відкритим (чищення)",
+				"zh-cn": "保持打开（清洁）",
+			},
+			type: "boolean",
+			role: "switch.enable",
+			read: true,
+			write: true,
+			def: false,
+		},
+		native: {},
+	},
+	"control.openResult": {
+		type: "state",
+		common: {
+			name: {
+				en: "Result of the last open request",
+				de: "Ergebnis der letzten Öffnungsanforderung",
+				ru: "Результат последнего запроса на открытие",
+				pt: "Resultado do último pedido de abertura",
+				nl: "Resultaat van het laatste openingsverzoek",
+				fr: "Résultat de la dernière demande d'ouverture",
+				it: "Risultato dell'ultima richiesta di apertura",
+				es: "Resultado de la última solicitud de apertura",
+				pl: "Wynik ostatniego żądania otwarcia",
+				uk: "Результат останнього запиту на відкриття",
+				"zh-cn": "上次打开请求的结果",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: false,
+			states: {
+				ok: "ok",
+				failed: "failed",
+				refused: "refused",
+			},
+		},
+		native: {},
+	},
+	"control.lastOpenRequest": {
+		type: "state",
+		common: {
+			name: {
+				en: "Last open request",
+				de: "Letzte Öffnungsanforderung",
+				ru: "Последний запрос на открытие",
+				pt: "Último pedido de abertura",
+				nl: "Laatste openingsverzoek",
+				fr: "Dernière demande d'ouverture",
+				it: "Ultima richiesta di apertura",
+				es: "Última solicitud de apertura",
+				pl: "Ostatnie żądanie otwarcia",
+				uk: "Останній запит на відкриття",
+				"zh-cn": "上次打开请求",
+			},
+			type: "number",
+			role: "date",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"control.openSource": {
+		type: "state",
+		common: {
+			name: {
+				en: "Source of the last open request",
+				de: "Quelle der letzten Öffnungsanforderung",
+				ru: "Источник последнего запроса на открытие",
+				pt: "Origem do último pedido de abertura",
+				nl: "Bron van het laatste openingsverzoek",
+				fr: "Source de la dernière demande d'ouverture",
+				it: "Origine dell'ultima richiesta di apertura",
+				es: "Origen de la última solicitud de apertura",
+				pl: "Źródło ostatniego żądania otwarcia",
+				uk: "Джерело останнього запиту на відкриття",
+				"zh-cn": "上次打开请求的来源",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"control.locked": {
+		type: "state",
+		common: {
+			name: {
+				en: "Locked (child safety)",
+				de: "Gesperrt (Kindersicherung)",
+				ru: "Заблокировано (защита от детей)",
+				pt: "Bloqueado (segurança infantil)",
+				nl: "Vergrendeld (kinderbeveiliging)",
+				fr: "Verrouillé (sécurité enfants)",
+				it: "Bloccato (sicurezza bambini)",
+				es: "Bloqueado (seguridad infantil)",
+				pl: "Zablokowane (zabezpieczenie przed dziećmi)",
+				uk: "Заблоковано (захист від дітей)",
+				"zh-cn": "已锁定（儿童安全）",
+			},
+			type: "boolean",
+			role: "switch.enable",
+			read: true,
+			write: true,
+			def: false,
+		},
+		native: {},
+	},
+	"control.unlocked": {
+		type: "state",
+		common: {
+			name: {
+				en: "Unlocked (inverse of locked)",
+				de: "Entsperrt (Gegenteil von gesperrt)",
+				ru: "Разблокировано (обратное к заблокировано)",
+				pt: "Desbloqueado (inverso de bloqueado)",
+				nl: "Ontgrendeld (omgekeerde van vergrendeld)",
+				fr: "Déverrouillé (inverse de verrouillé)",
+				it: "Sbloccato (inverso di bloccato)",
+				es: "Desbloqueado (inverso de bloqueado)",
+				pl: "Odblokowane (odwrotność zablokowanego)",
+				uk: "Розблоковано (протилежне до заблоковано)",
+				"zh-cn": "已解锁（与已锁定相反）",
+			},
+			type: "boolean",
+			role: "switch.lock",
+			read: true,
+			write: true,
+			def: true,
+		},
+		native: {},
+	},
+	"control.lockDuration": {
+		type: "state",
+		common: {
+			name: {
+				en: "Unlock automatically after",
+				de: "Automatisch entsperren nach",
+				ru: "Автоматически разблокировать через",
+				pt: "Desbloquear automaticamente após",
+				nl: "Automatisch ontgrendelen na",
+				fr: "Déverrouiller automatiquement après",
+				it: "Sblocca automaticamente dopo",
+				es: "Desbloquear automáticamente tras",
+				pl: "Odblokuj automatycznie po",
+				uk: "Автоматично розблокувати через",
+				"zh-cn": "自动解锁时间",
+			},
+			type: "number",
+			role: "level.timer",
+			unit: "min",
+			min: 0,
+			read: true,
+			write: true,
+			def: 0,
+		},
+		native: {},
+	},
+	settings: {
+		type: "channel",
+		common: {
+			name: "Settings",
+		},
+		native: {},
+	},
+	"settings.ledBrightness": {
+		type: "state",
+		common: {
+			name: "LED brightness",
+			type: "number",
+			role: "level.dimmer",
+			min: 1,
+			max: 10,
+			read: true,
+			write: true,
+		},
+		native: {},
+	},
+	"settings.distance": {
+		type: "state",
+		common: {
+			name: {
+				en: "Sensor distance",
+				de: "Sensorabstand",
+				ru: "Расстояние датчика",
+				pt: "Distância do sensor",
+				nl: "Sensorafstand",
+				fr: "Distance du capteur",
+				it: "Distanza sensore",
+				es: "Distancia del sensor",
+				pl: "Odległość czujnika",
+				uk: "Відстань датчика",
+				"zh-cn": "传感器距离",
+			},
+			type: "number",
+			role: "level",
+			min: 31,
+			max: 100,
+			unit: "mm",
+			read: true,
+			write: true,
+		},
+		native: {},
+	},
+	"settings.ejectionForce": {
+		type: "state",
+		common: {
+			name: {
+				en: "Ejection force",
+				de: "Auswurfkraft",
+				ru: "Сила выброса",
+				pt: "Força de ejeção",
+				nl: "Uitwerpkracht",
+				fr: "Force d'éjection",
+				it: "Forza di espulsione",
+				es: "Fuerza de eyección",
+				pl: "Siła wyrzutu",
+				uk: "Сила викиду",
+				"zh-cn": "弹出力",
+			},
+			type: "number",
+			role: "level",
+			min: 1,
+			max: 10,
+			read: true,
+			write: true,
+		},
+		native: {},
+	},
+	network: {
+		type: "channel",
+		common: {
+			name: "WiFi network",
+		},
+		native: {},
+	},
+	"network.ssid": {
+		type: "state",
+		common: {
+			name: {
+				en: "WiFi network (SSID)",
+				de: "WLAN (SSID)",
+				ru: "Сеть WiFi (SSID)",
+				pt: "Rede WiFi (SSID)",
+				nl: "Wifi-netwerk (SSID)",
+				fr: "Réseau WiFi (SSID)",
+				it: "Rete WiFi (SSID)",
+				es: "Red WiFi (SSID)",
+				pl: "Sieć WiFi (SSID)",
+				uk: "Мережа WiFi (SSID)",
+				"zh-cn": "WiFi 网络 (SSID)",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: true,
+		},
+		native: {},
+	},
+	"network.password": {
+		type: "state",
+		common: {
+			name: {
+				en: "WiFi password",
+				de: "WLAN-Passwort",
+				ru: "Пароль WiFi",
+				pt: "Senha WiFi",
+				nl: "Wifi-wachtwoord",
+				fr: "Mot de passe WiFi",
+				it: "Password WiFi",
+				es: "Contraseña WiFi",
+				pl: "Hasło WiFi",
+				uk: "Пароль WiFi",
+				"zh-cn": "WiFi 密码",
+			},
+			type: "string",
+			role: "text",
+			read: false,
+			write: true,
+		},
+		native: {},
+	},
+	"network.dhcp": {
+		type: "state",
+		common: {
+			name: {
+				en: "Use DHCP",
+				de: "DHCP verwenden",
+				ru: "Использовать DHCP",
+				pt: "Usar DHCP",
+				nl: "DHCP gebruiken",
+				fr: "Utiliser DHCP",
+				it: "Usa DHCP",
+				es: "Usar DHCP",
+				pl: "Użyj DHCP",
+				uk: "Використовувати DHCP",
+				"zh-cn": "使用 DHCP",
+			},
+			type: "boolean",
+			role: "switch.enable",
+			read: true,
+			write: true,
+		},
+		native: {},
+	},
+	"network.ip": {
+		type: "state",
+		common: {
+			name: {
+				en: "Static IP address",
+				de: "Statische IP-Adresse",
+				ru: "Статический IP-адрес",
+				pt: "Endereço IP estático",
+				nl: "Statisch IP-adres",
+				fr: "Adresse IP statique",
+				it: "Indirizzo IP statico",
+				es: "Dirección IP estática",
+				pl: "Statyczny adres IP",
+				uk: "Статична IP-адреса",
+				"zh-cn": "静态 IP 地址",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: true,
+		},
+		native: {},
+	},
+	"network.subnet": {
+		type: "state",
+		common: {
+			name: {
+				en: "Static subnet mask",
+				de: "Statische Subnetzmaske",
+				ru: "Статическая маска подсети",
+				pt: "Máscara de sub-rede estática",
+				nl: "Statisch subnetmasker",
+				fr: "Masque de sous-réseau statique",
+				it: "Subnet mask statica",
+				es: "Máscara de subred estática",
+				pl: "Statyczna maska podsieci",
+				uk: "Статична маска підмережі",
+				"zh-cn": "静态子网掩码",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: true,
+		},
+		native: {},
+	},
+	"network.gateway": {
+		type: "state",
+		common: {
+			name: {
+				en: "Static gateway",
+				de: "Statisches Gateway",
+				ru: "Статический шлюз",
+				pt: "Gateway estático",
+				nl: "Statische gateway",
+				fr: "Passerelle statique",
+				it: "Gateway statico",
+				es: "Puerta de enlace estática",
+				pl: "Statyczna brama",
+				uk: "Статичний шлюз",
+				"zh-cn": "静态网关",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: true,
+		},
+		native: {},
+	},
+	"network.apply": {
+		type: "state",
+		common: {
+			name: {
+				en: "Apply network settings",
+				de: "Netzwerkeinstellungen übernehmen",
+				ru: "Применить сетевые настройки",
+				pt: "Aplicar configurações de rede",
+				nl: "Netwerkinstellingen toepassen",
+				fr: "Appliquer les paramètres réseau",
+				it: "Applica impostazioni di rete",
+				es: "Aplicar configuración de red",
+				pl: "Zastosuj ustawienia sieci",
+				uk: "Застосувати мережеві налаштування",
+				"zh-cn": "应用网络设置",
+			},
+			type: "boolean",
+			role: "button.apply",
+			read: false,
+			write: true,
+		},
+		native: {},
+	},
+	events: {
+		type: "channel",
+		common: {
+			name: "Events",
+		},
+		native: {},
+	},
+	"events.opened": {
+		type: "state",
+		common: {
+			name: {
+				en: "Lid opened",
+				de: "Deckel geöffnet",
+				ru: "Крышка открыта",
+				pt: "Tampa aberta",
+				nl: "Deksel geopend",
+				fr: "Couvercle ouvert",
+				it: "Coperchio aperto",
+				es: "Tapa abierta",
+				pl: "Pokrywa otwarta",
+				uk: "Кришку відкрито",
+				"zh-cn": "盖子已打开",
+			},
+			type: "boolean",
+			role: "indicator",
+			read: true,
+			write: false,
+			def: false,
+		},
+		native: {},
+	},
+	"events.lastOpened": {
+		type: "state",
+		common: {
+			name: {
+				en: "Last opening",
+				de: "Letzte Öffnung",
+				ru: "Последнее открытие",
+				pt: "Última abertura",
+				nl: "Laatste opening",
+				fr: "Dernière ouverture",
+				it: "Ultima apertura",
+				es: "Última apertura",
+				pl: "Ostatnie otwarcie",
+				uk: "Останнє відкриття",
+				"zh-cn": "上次打开",
+			},
+			type: "number",
+			role: "date",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+	"events.openedBy": {
+		type: "state",
+		common: {
+			name: {
+				en: "Last opening by",
+				de: "Letzte Öffnung durch",
+				ru: "Последнее открытие через",
+				pt: "Última abertura por",
+				nl: "Laatste opening door",
+				fr: "Dernière ouverture par",
+				it: "Ultima apertura tramite",
+				es: "Última apertura por",
+				pl: "Ostatnie otwarcie przez",
+				uk: "Останнє відкриття через",
+				"zh-cn": "上次打开方式",
+			},
+			type: "string",
+			role: "text",
+			read: true,
+			write: false,
+			states: {
+				sensor: "Hand sensor",
+				command: "Open command",
+			},
+			def: "",
+		},
+		native: {},
+	},
+	"events.openedToday": {
+		type: "state",
+		common: {
+			name: {
+				en: "Openings today",
+				de: "Öffnungen heute",
+				ru: "Открытий сегодня",
+				pt: "Aberturas hoje",
+				nl: "Openingen vandaag",
+				fr: "Ouvertures aujourd'hui",
+				it: "Aperture oggi",
+				es: "Aperturas hoy",
+				pl: "Otwarcia dzisiaj",
+				uk: "Відкриттів сьогодні",
+				"zh-cn": "今日打开次数",
+			},
+			type: "number",
+			role: "value",
+			read: true,
+			write: false,
+			def: 0,
+		},
+		native: {},
+	},
+	"events.openedThisWeek": {
+		type: "state",
+		common: {
+			name: {
+				en: "Openings this week",
+				de: "Öffnungen diese Woche",
+				ru: "Открытий на этой неделе",
+				pt: "Aberturas esta semana",
+				nl: "Openingen deze week",
+				fr: "Ouvertures cette semaine",
+				it: "Aperture questa settimana",
+				es: "Aperturas esta semana",
+				pl: "Otwarcia w tym tygodniu",
+				uk: "Відкриттів цього тижня",
+				"zh-cn": "本周打开次数",
+			},
+			type: "number",
+			role: "value",
+			read: true,
+			write: false,
+			def: 0,
+		},
+		native: {},
+	},
+	"events.openedTotal": {
+		type: "state",
+		common: {
+			name: {
+				en: "Openings total",
+				de: "Öffnungen gesamt",
+				ru: "Всего открытий",
+				pt: "Total de aberturas",
+				nl: "Openingen totaal",
+				fr: "Total des ouvertures",
+				it: "Aperture totali",
+				es: "Aperturas totales",
+				pl: "Otwarcia łącznie",
+				uk: "Усього відкриттів",
+				"zh-cn": "总打开次数",
+			},
+			type: "number",
+			role: "value",
+			read: true,
+			write: false,
+			def: 0,
+		},
+		native: {},
+	},
+	"events.settingsHistory": {
+		type: "state",
+		common: {
+			name: {
+				en: "Settings change history",
+				de: "Verlauf der Einstellungsänderungen",
+				ru: "История изменений настроек",
+				pt: "Histórico de alterações das configurações",
+				nl: "Geschiedenis van instellingswijzigingen",
+				fr: "Historique des modifications des paramètres",
+				it: "Cronologia delle modifiche alle impostazioni",
+				es: "Historial de cambios de configuración",
+				pl: "Historia zmian ustawień",
+				uk: "Історія змін налаштувань",
+				"zh-cn": "设置更改历史",
+			},
+			type: "string",
+			role: "json",
+			read: true,
+			write: false,
+			def: "[]",
+		},
+		native: {},
+	},
+	"events.externalChange": {
+		type: "state",
+		common: {
+			name: {
+				en: "Settings changed outside of ioBroker",
+				de: "Einstellungen außerhalb von ioBroker geändert",
+				ru: "Настройки изменены вне ioBroker",
+				pt: "Configurações alteradas fora do ioBroker",
+				nl: "Instellingen buiten ioBroker gewijzigd",
+				fr: "Paramètres modifiés en dehors d'ioBroker",
+				it: "Impostazioni modificate al di fuori di ioBroker",
+				es: "Configuración cambiada fuera de ioBroker",
+				pl: "Ustawienia zmienione poza ioBroker",
+				uk: "Налаштування змінено поза ioBroker",
+				"zh-cn": "在 ioBroker 之外更改的设置",
+			},
+			type: "string",
+			role: "json",
+			read: true,
+			write: false,
+		},
+		native: {},
+	},
+};
+
+/**
+ * The device object (devices.<id>)
+ * @param {string} name - Display name
+ * @param {Record<string, any>} native
+ * @param {string} connectionId - Full id of info.connection, shown as online status
+ * @returns {ioBroker.SettableObject}
+ */
+function deviceObject(name, native, connectionId) {
+	return {
+		type: "device",
+		common: {
+			name,
+			statusStates: {
+				onlineId: connectionId,
+			},
+		},
+		native,
+	};
+}
+
+module.exports = { deviceObjects, deviceObject };
@@ -0,0 +1,62 @@
+"use strict";
+
+const { expect } = require("chai");
+const ChannelDetector = require("@iobroker/type-detector").default;
+const { deviceObject, deviceObjects } = require("./deviceObjects");
+
+const deviceId = "hailo-libero.0.devices.kitchen";
+
+/**
+ * The objects of one device as the adapter creates them
+ * @returns {Record<string, any>}
+ */
+function createObjects() {
+	/** @type {Record<string, any>} */
+	const objects = {
+		[deviceId]: { _id: deviceId, ...deviceObject("Kitchen", {}, `${deviceId}.info.connection`) },
+	};
+	for (const [key, obj] of Object.entries(deviceObjects)) {
+		objects[`${deviceId}.${key}`] = { _id: `${deviceId}.${key}`, ...obj };
+	}
+	return objects;
+}
+
+/**
+ * Detected device types with their mapped states, relative to the device
+ * @param {string} id
+ * @returns {Record<string, Record<string, string>>}
+ */
+function detect(id) {
+	const controls = new ChannelDetector().detect({ objects: createObjects(), id, ignoreCache: true }) || [];
+	return Object.fromEntries(
+		controls.map((control) => [
+			control.type,
+			Object.fromEntries(
+				control.states.filter((state) => state.id).map((state) => [state.name, state.id.slice(deviceId.length + 1)]),
+			),
+		]),
+	);
+}
+
+describe("deviceObjects => type detector", () => {
+	it("should detect the control channel as a lock with an open action", () => {
+		const types = detect(`${deviceId}.control`);
+		expect(types.lock).to.deep.equal({ SET: "control.unlocked", OPEN: "control.open" });
+		expect(types).to.not.have.any.keys("socket", "button");
+	});
+
+	it("should only give the lock role to the state that is true while unlocked", () => {
+		expect(deviceObjects["control.unlocked"].common).to.include({ role: "switch.lock", def: true });
+		expect(deviceObjects["control.locked"].common).to.include({ role: "switch.enable", def: false });
+	});
+
+	it("should detect the LED brightness as a dimmer", () => {
+		expect(detect(`${deviceId}.settings`).dimmer).to.deep.equal({ SET: "settings.ledBrightness" });
+	});
+
+	it("should map the open action of the whole device to control.open", () => {
+		const types = detect(deviceId);
+		expect(types.lock).to.include({ SET: "control.unlocked", OPEN: "control.open" });
+		expect(types).to.not.have.any.keys("socket");
+	});
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+/**
+ * Error classes shown in info.lastError
+ */
+const ErrorType = {
+	DNS: "dns",
+	TIMEOUT: "timeout",
+	REFUSED: "refused",
+	UNREACHABLE: "unreachable",
+	AUTH_FAILED: "auth-failed",
+	PARSE_FAILED: "parse-failed",
+	PROTOCOL: "protocol",
+	BUSY: "busy",
+	INVALID: "invalid",
+	OTHER: "other",
+};
+
+/** Error code of a rejected PIN or session */
+const EAUTH = "EAUTH";
+/** Error code of a homepage without the expected content */
+const EPARSE = "EPARSE";
+/** Error code of a value the device does not accept */
+const EINVAL = "EINVAL";
+/** Error code of an unexpected status or answer of the device */
+const EPROTO = "EPROTO";
+/** Error code of a device that cannot handle a request right now */
+const EBUSY = "EBUSY";
+
+/**
+ * Classify a failed request
+ * @param {any} error
+ * @returns {string} - One of ErrorType
+ */
+function classifyError(error) {
+	switch (error && error.code) {
+		case "ENOTFOUND":
+		case "EAI_AGAIN":
+			return ErrorType.DNS;
+		case "ETIMEDOUT":
+		case "ECONNABORTED":
+			return ErrorType.TIMEOUT;
+		case "ECONNREFUSED":
+			return ErrorType.REFUSED;
+		case "EHOSTUNREACH":
+		case "ENETUNREACH":
+		case "ECONNRESET":
+			return ErrorType.UNREACHABLE;
+		case EAUTH:
+			return ErrorType.AUTH_FAILED;
+		case EPARSE:
+			return ErrorType.PARSE_FAILED;
+		case EPROTO:
+			return ErrorType.PROTOCOL;
+		case EBUSY:
+			return ErrorType.BUSY;
+		case EINVAL:
+			return ErrorType.INVALID;
+		default:
+			return ErrorType.OTHER;
+	}
+}
+
+/**
+ * Text for info.lastError, e.g. "timeout (ECONNABORTED): timeout of 10000ms exceeded"
+ * @param {any} error
+ * @returns {string}
+ */
+function describeError(error) {
+	const code = error && error.code ? ` (${error.code})` : "";
+	return `${classifyError(error)}${code}: ${(error && error.message) || "unknown error"}`;
+}
+
+/**
+ * Delay before the next reconnect attempt. Doubles with every attempt up to the cap
+ * and varies by up to ±jitter so that several devices do not retry in lockstep.
+ * @param {number} attempt - Number of failed attempts so far, starting at 0
+ * @param {number} baseDelay - Delay of the first attempt in milliseconds
+ * @param {number} maxDelay - Upper limit in milliseconds
+ * @param {number} [jitter] - Relative random variation (default: 0.2)
+ * @param {() => number} [random] - Source of random numbers in [0, 1)
+ * @returns {number}
+ */
+function reconnectDelay(attempt, baseDelay, maxDelay, jitter = 0.2, random = Math.random) {
+	const delay = Math.min(maxDelay, baseDelay * 2 ** Math.min(attempt, 30));
+	const varied = delay * (1 + jitter * (2 * random() - 1));
+	return Math.round(Math.min(maxDelay, Math.max(0, varied)));
+}
+
+module.exports = {
+	ErrorType,
+	EAUTH,
+	EPARSE,
+	EINVAL,
+	EPROTO,
+	EBUSY,
+	classifyError,
+	describeError,
+	reconnectDelay,
+};
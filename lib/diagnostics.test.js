@@ -0,0 +1,35 @@
+"use strict";
+
+const { expect } = require("chai");
+const { classifyError, describeError, reconnectDelay, EPARSE } = require("./diagnostics");
+const { AuthError, ConnectionError, DeviceBusyError, ProtocolError, ValidationError } = require("./errors");
+
+describe("diagnostics => reconnectDelay", () => {
+	it("should double the delay up to the cap", () => {
+		const noJitter = () => 0.5;
+		expect([0, 1, 2, 3, 10].map((attempt) => reconnectDelay(attempt, 10000, 60000, 0.2, noJitter))).to.deep.equal([
+			10000, 20000, 40000, 60000, 60000,
+		]);
+	});
+
+	it("should vary the delay by the jitter without exceeding the cap", () => {
+		expect(reconnectDelay(0, 10000, 60000, 0.2, () => 0)).to.equal(8000);
+		expect(reconnectDelay(1, 10000, 60000, 0.2, () => 0.999999)).to.be.within(23999, 24000);
+		expect(reconnectDelay(5, 10000, 60000, 0.2, () => 0.999999)).to.equal(60000);
+	});
+});
+
+describe("diagnostics => classifyError", () => {
+	it("should classify network, auth and parse errors", () => {
+		expect(classifyError(new ConnectionError("getaddrinfo ENOTFOUND libero", "ENOTFOUND"))).to.equal("dns");
+		expect(classifyError(new ConnectionError("timeout of 5000ms exceeded", "ECONNABORTED"))).to.equal("timeout");
+		expect(classifyError(new ConnectionError("connect ECONNREFUSED", "ECONNREFUSED"))).to.equal("refused");
+		expect(classifyError(new AuthError("PIN rejected"))).to.equal("auth-failed");
+		expect(classifyError(new ProtocolError("No system info", EPARSE))).to.equal("parse-failed");
+		expect(classifyError(new DeviceBusyError("The device is busy"))).to.equal("busy");
+		expect(classifyError(new ValidationError("led must be an integer"))).to.equal("invalid");
+		expect(classifyError(new Error("Something else"))).to.equal("other");
+		expect(describeError(new AuthError("PIN rejected"))).to.equal("auth-failed (EAUTH): PIN rejected");
+		expect(describeError(new Error("Something else"))).to.equal("other: Something else");
+	});
+});
@@ -0,0 +1,247 @@
+"use strict";
+
+const net = require("net");
+const os = require("os");
+const HailoClient = require("./hailoClient");
+const { ipToInt } = require("./networkConfig");
+const { releaseQueue } = require("./requestQueue");
+
+// Smallest network that is scanned completely, larger networks are limited to the /24 of the host
+const MIN_PREFIX = 22;
+
+/**
+ * A Libero device found in the network
+ * @typedef {object} DiscoveredDevice
+ * @property {string} ip
+ * @property {number} port
+ * @property {string} device - Device string from the homepage, e.g. "Libero30_25266A"
+ * @property {string} model - Model derived from the device string, e.g. "Libero 3.0"
+ * @property {string | null} firmware
+ * @property {boolean} authenticated - false if the homepage could not be opened with the given PIN
+ */
+
+/**
+ * Convert a number to a dotted IPv4 address
+ * @param {number} value
+ * @returns {string}
+ */
+function intToIp(value) {
+	return [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join(".");
+}
+
+/**
+ * List the host addresses of the IPv4 networks this host is connected to
+ * @returns {string[]}
+ */
+function getLocalHosts() {
+	const hosts = new Set();
+	for (const addresses of Object.values(os.networkInterfaces())) {
+		for (const address of addresses || []) {
+			if (address.family !== "IPv4" || address.internal) {
+				continue;
+			}
+			const own = ipToInt(address.address);
+			let mask = ipToInt(address.netmask);
+			if (own === null || mask === null) {
+				continue;
+			}
+			// Do not scan huge networks completely
+			const prefix = 32 - Math.log2((~mask >>> 0) + 1);
+			if (prefix < MIN_PREFIX) {
+				mask = 0xffffff00;
+			}
+			const network = (own & mask) >>> 0;
+			const broadcast = (network | ~mask) >>> 0;
+			for (let host = network + 1; host < broadcast; host++) {
+				if (host !== own) {
+					hosts.add(intToIp(host));
+				}
+			}
+		}
+	}
+	return [...hosts];
+}
+
+/**
+ * Check whether a TCP port is open
+ * @param {string} ip
+ * @param {number} port
+ * @param {number} timeout
+ * @returns {Promise<boolean>}
+ */
+function isPortOpen(ip, port, timeout) {
+	return new Promise((resolve) => {
+		const socket = net.connect({ host: ip, port });
+		const done = (/** @type {boolean} */ open) => {
+			socket.destroy();
+			resolve(open);
+		};
+		socket.setTimeout(timeout, () => done(false));
+		socket.once("connect", () => done(true));
+		socket.once("error", () => done(false));
+	});
+}
+
+/**
+ * Derive a readable model name from the device string
+ * @param {string} device - e.g. "Libero30_25266A"
+ * @returns {string} - e.g. "Libero 3.0"
+ */
+function modelFromDevice(device) {
+	const match = /^Libero(\d)(\d)/i.exec(device);
+	return match ? `Libero ${match[1]}.${match[2]}` : device.split("_")[0];
+}
+
+/**
+ * Whether a host looks like a Libero device, without sending the PIN: its homepage shows
+ * a Libero device string, or it sends us to a login page with a PIN field
+ * @param {HailoClient} client
+ * @returns {Promise<boolean>}
+ */
+async function looksLikeLibero(client) {
+	const response = await client
+		.request({ method: "get", url: client.protocol.paths.home }, { auth: false, retry: "once" })
+		.catch(() => null);
+	if (!response) {
+		return false;
+	}
+	if (HailoClient.isLoginRedirect(response)) {
+		return client.hasLoginForm();
+	}
+	const html = typeof response.data === "string" ? response.data : "";
+	return /^Libero/i.test(client.parseSettingsAndInfoFromHtml(html).info.device || "");
+}
+
+/**
+ * Fingerprint a host as Libero device by the system info block of its homepage.
+ * The PIN is only sent to hosts that look like a Libero device.
+ * @param {string} ip
+ * @param {number} port
+ * @param {string} password - PIN used if the homepage needs a login
+ * @param {number} timeout
+ * @returns {Promise<DiscoveredDevice | null>}
+ */
+async function identify(ip, port, password, timeout) {
+	const client = new HailoClient(ip, port, password, null, { timeout });
+	if (!(await looksLikeLibero(client))) {
+		releaseQueue(client.baseUrl);
+		return null;
+	}
+	const data = await client.getDeviceInfo().catch(() => null);
+	if (data && data.info.device && /^Libero/i.test(data.info.device)) {
+		return {
+			ip,
+			port,
+			device: data.info.device,
+			model: modelFromDevice(data.info.device),
+			firmware: data.info.firmware || null,
+			authenticated: true,
+		};
+	}
+	// A login page with a PIN field is a device with an unknown PIN
+	if (client.authenticated === false && (await client.hasLoginForm())) {
+		return { ip, port, device: "", model: "", firmware: null, authenticated: false };
+	}
+	releaseQueue(client.baseUrl);
+	return null;
+}
+
+/**
+ * Scan the local networks for Libero devices
+ * @param {object} [options]
+ * @param {number} [options.port] - Port of the device web interface
+ * @param {string[]} [options.hosts] - Addresses to probe instead of the local networks
+ * @param {string} [options.password] - PIN used to open the homepage
+ * @param {number} [options.timeout] - Timeout per host in milliseconds
+ * @param {number} [options.concurrency] - Hosts probed in parallel
+ * @returns {Promise<DiscoveredDevice[]>}
+ */
+async function discover(options = {}) {
+	const { port = 81, password = "hailo", timeout = 1000, concurrency = 32 } = options;
+	const queue = [...(options.hosts || getLocalHosts())];
+	/** @type {DiscoveredDevice[]} */
+	const found = [];
+
+	const worker = async () => {
+		while (queue.length) {
+			const ip = /** @type {string} */ (queue.shift());
+			if (!(await isPortOpen(ip, port, timeout))) {
+				continue;
+			}
+			const device = await identify(ip, port, password, timeout * 3);
+			if (device) {
+				found.push(device);
+			}
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+	return found.sort((a, b) => Number(ipToInt(a.ip)) - Number(ipToInt(b.ip)));
+}
+
+/**
+ * A row of the result table of the search in the instance config
+ * @typedef {object} DiscoveryRow
+ * @property {boolean} add - Selected to be added to the device table
+ * @property {string} name
+ * @property {string} ip
+ * @property {number} port
+ * @property {string} model
+ * @property {string} firmware
+ * @property {string} status - "ok" or "PIN required"
+ */
+
+/**
+ * Rows of the result table for the devices that are not in the device table yet
+ * @param {DiscoveredDevice[]} found
+ * @param {{ip?: string}[]} devices - Rows of the device table
+ * @returns {DiscoveryRow[]}
+ */
+function discoveryRows(found, devices) {
+	const known = new Set(devices.map((row) => row && row.ip));
+	return found
+		.filter((device) => !known.has(device.ip))
+		.map((device) => ({
+			add: false,
+			name: device.device || device.ip,
+			ip: device.ip,
+			port: device.port,
+			model: device.model,
+			firmware: device.firmware || "",
+			status: device.authenticated ? "ok" : "PIN required",
+		}));
+}
+
+/**
+ * Move the selected rows of the result table to the device table
+ * @param {Record<string, any>[]} devices - Rows of the device table
+ * @param {DiscoveryRow[]} rows - Rows of the result table
+ * @param {string} password - PIN of the new rows, encrypted by the admin page when the config is saved
+ * @returns {{devices: Record<string, any>[], discovered: DiscoveryRow[], added: number}}
+ */
+function addDiscoveredDevices(devices, rows, password) {
+	const known = new Set(devices.map((row) => row && row.ip));
+	const selected = rows.filter((row) => row && row.add && !known.has(row.ip));
+	return {
+		devices: [
+			...devices,
+			...selected.map((row) => ({
+				enabled: true,
+				name: row.name || row.ip,
+				ip: row.ip,
+				port: row.port,
+				password,
+			})),
+		],
+		discovered: rows.filter((row) => row && !row.add),
+		added: selected.length,
+	};
+}
+
+module.exports = {
+	addDiscoveredDevices,
+	discover,
+	discoveryRows,
+	getLocalHosts,
+	modelFromDevice,
+};
@@ -0,0 +1,145 @@
+"use strict";
+
+const http = require("http");
+const { expect } = require("chai");
+const { addDiscoveredDevices, discover, discoveryRows, modelFromDevice } = require("./discovery");
+const LiberoSimulator = require("./simulator");
+const { releaseQueue } = require("./requestQueue");
+
+/**
+ * Start an HTTP server on a random local port
+ * @param {http.RequestListener} handler
+ * @returns {Promise<{server: http.Server, port: number}>}
+ */
+function listen(handler) {
+	return new Promise((resolve) => {
+		const server = http.createServer(handler);
+		server.listen(0, "127.0.0.1", () => {
+			resolve({ server, port: /** @type {import("net").AddressInfo} */ (server.address()).port });
+		});
+	});
+}
+
+describe("discovery => discover", () => {
+	/** @type {http.Server[]} */
+	const servers = [];
+	const simulator = new LiberoSimulator();
+
+	afterEach(async () => {
+		for (const server of servers.splice(0)) {
+			server.close();
+		}
+		await simulator.stop();
+	});
+
+	it("should identify a Libero device by its homepage", async () => {
+		const port = await simulator.start();
+
+		const found = await discover({ hosts: ["127.0.0.1"], port });
+		expect(found).to.deep.equal([
+			{
+				ip: "127.0.0.1",
+				port,
+				device: "Libero30_25266A",
+				model: "Libero 3.0",
+				firmware: "3.0.4",
+				authenticated: true,
+			},
+		]);
+	});
+
+	it("should report a device behind an unknown PIN", async () => {
+		const port = await simulator.start();
+
+		const found = await discover({ hosts: ["127.0.0.1"], port, password: "wrong" });
+		expect(found).to.have.length(1);
+		expect(found[0].authenticated).to.equal(false);
+	});
+
+	it("should ignore other web servers and closed ports", async () => {
+		const { server, port } = await listen((req, res) => {
+			res.writeHead(200, { "Content-Type": "text/html" });
+			res.end("<html><body>Router</body></html>");
+		});
+		servers.push(server);
+
+		expect(await discover({ hosts: ["127.0.0.1"], port })).to.deep.equal([]);
+		server.close();
+		expect(await discover({ hosts: ["127.0.0.1"], port, timeout: 200 })).to.deep.equal([]);
+	});
+
+	it("should not send the PIN to hosts that are not Libero devices", async () => {
+		/** @type {string[]} */
+		const requests = [];
+		const { server, port } = await listen((req, res) => {
+			requests.push(`${req.method} ${req.url}`);
+			res.writeHead(200, { "Content-Type": "text/html" });
+			res.end('<html><body><form action="/login" method="post"><input name="password"></form></body></html>');
+		});
+		servers.push(server);
+
+		expect(await discover({ hosts: ["127.0.0.1"], port, password: "1234" })).to.deep.equal([]);
+		expect(requests).to.deep.equal(["GET /"]);
+		// The queue of the host was released
+		expect(releaseQueue(`http://127.0.0.1:${port}`)).to.equal(false);
+	});
+});
+
+describe("discovery => modelFromDevice", () => {
+	it("should derive the model from the device string", () => {
+		expect(modelFromDevice("Libero30_25266A")).to.equal("Libero 3.0");
+		expect(modelFromDevice("Other_1234")).to.equal("Other");
+	});
+});
+
+describe("discovery => discoveryRows and addDiscoveredDevices", () => {
+	const found = [
+		{
+			ip: "192.168.10.25",
+			port: 81,
+			device: "Libero30_25266A",
+			model: "Libero 3.0",
+			firmware: "3.0.4",
+			authenticated: true,
+		},
+		{ ip: "192.168.10.26", port: 81, device: "", model: "Libero", firmware: null, authenticated: false },
+		{
+			ip: "192.168.10.27",
+			port: 81,
+			device: "Libero30_1A2B3C",
+			model: "Libero 3.0",
+			firmware: "3.0.4",
+			authenticated: true,
+		},
+	];
+	const devices = [{ enabled: true, name: "Kitchen", ip: "192.168.10.25", port: 81, password: "1234" }];
+
+	it("should list the devices that are not in the table yet", () => {
+		const rows = discoveryRows(found, devices);
+		expect(rows.map((row) => row.ip)).to.deep.equal(["192.168.10.26", "192.168.10.27"]);
+		expect(rows[0]).to.deep.equal({
+			add: false,
+			name: "192.168.10.26",
+			ip: "192.168.10.26",
+			port: 81,
+			model: "Libero",
+			firmware: "",
+			status: "PIN required",
+		});
+	});
+
+	it("should add only the selected rows", () => {
+		const rows = discoveryRows(found, devices);
+		rows[1].add = true;
+		rows[1].name = "Garage";
+		const result = addDiscoveredDevices(devices, rows, "hailo");
+		expect(result.added).to.equal(1);
+		expect(result.devices).to.deep.equal([
+			...devices,
+			{ enabled: true, name: "Garage", ip: "192.168.10.27", port: 81, password: "hailo" },
+		]);
+		expect(result.discovered.map((row) => row.ip)).to.deep.equal(["192.168.10.26"]);
+
+		expect(addDiscoveredDevices(devices, [], "hailo")).to.deep.equal({ devices, discovered: [], added: 0 });
+	});
+});
@@ -0,0 +1,135 @@
+"use strict";
+
+const { EAUTH, EBUSY, EINVAL, EPROTO } = require("./diagnostics");
+
+/**
+ * Base class of the errors HailoClient rejects with. The code tells the cause like the codes
+ * of the http module do, e.g. ETIMEDOUT, EAUTH or EINVAL.
+ */
+class HailoError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} code
+	 * @param {{cause?: any}} [options]
+	 */
+	constructor(message, code, options) {
+		super(message, options);
+		this.name = new.target.name;
+		this.code = code;
+	}
+}
+
+/**
+ * The device did not answer: DNS, timeout, refused or reset connection.
+ * The code is the one of the failed socket, e.g. ECONNREFUSED.
+ */
+class ConnectionError extends HailoError {
+	/**
+	 * @param {string} message
+	 * @param {string} [code]
+	 * @param {{cause?: any}} [options]
+	 */
+	constructor(message, code = "ECONNECTION", options) {
+		super(message, code, options);
+	}
+}
+
+/**
+ * The device rejected the PIN or the session
+ */
+class AuthError extends HailoError {
+	/**
+	 * @param {string} message
+	 * @param {{cause?: any}} [options]
+	 */
+	constructor(message, options) {
+		super(message, EAUTH, options);
+	}
+}
+
+/**
+ * The device answered, but not the way the protocol of its firmware expects:
+ * a homepage that cannot be parsed (EPARSE) or an unexpected status or body (EPROTO)
+ */
+class ProtocolError extends HailoError {
+	/**
+	 * @param {string} message
+	 * @param {string} [code]
+	 * @param {{cause?: any}} [options]
+	 */
+	constructor(message, code = EPROTO, options) {
+		super(message, code, options);
+	}
+}
+
+/**
+ * The device is reachable but cannot handle the request right now
+ */
+class DeviceBusyError extends HailoError {
+	/**
+	 * @param {string} message
+	 * @param {number} [retryAfter] - Milliseconds the device asked to wait, 0 if it did not tell
+	 * @param {{cause?: any}} [options]
+	 */
+	constructor(message, retryAfter = 0, options) {
+		super(message, EBUSY, options);
+		this.retryAfter = retryAfter;
+	}
+}
+
+/**
+ * A value was rejected before anything was sent to the device
+ */
+class ValidationError extends HailoError {
+	/**
+	 * @param {string} message
+	 * @param {string[]} [errors] - Single problems, e.g. one per field
+	 */
+	constructor(message, errors = [message]) {
+		super(message, EINVAL);
+		this.errors = errors;
+	}
+}
+
+/**
+ * Convert a failed request into a typed error. Errors that are typed already are returned as they are,
+ * errors that did not come from a request (programming errors) too.
+ * @param {any} error - Error of axios
+ * @returns {Error}
+ */
+function toHailoError(error) {
+	if (error instanceof HailoError || !(error && (error.isAxiosError || error.code))) {
+		return error;
+	}
+	const response = error.response;
+	if (!response) {
+		return new ConnectionError(error.message, error.code || undefined, { cause: error });
+	}
+	const url = (error.config && error.config.url) || "";
+	switch (response.status) {
+		case 401:
+		case 403:
+			return new AuthError(`The device refused ${url} with status ${response.status}`, { cause: error });
+		case 429:
+		case 503: {
+			const seconds = Number(response.headers && response.headers["retry-after"]);
+			return new DeviceBusyError(
+				`The device is busy (status ${response.status})`,
+				Number.isFinite(seconds) ? seconds * 1000 : 0,
+				{ cause: error },
+			);
+		}
+		default:
+			return new ProtocolError(`Unexpected status ${response.status} for ${url}`, EPROTO, { cause: error });
+	}
+}
+
+module.exports = {
+	HailoError,
+	ConnectionError,
+	AuthError,
+	ProtocolError,
+	DeviceBusyError,
+	ValidationError,
+	toHailoError,
+};
@@ -0,0 +1,57 @@
+"use strict";
+
+const { expect } = require("chai");
+const {
+	AuthError,
+	ConnectionError,
+	DeviceBusyError,
+	HailoError,
+	ProtocolError,
+	ValidationError,
+	toHailoError,
+} = require("./errors");
+
+/**
+ * Error like axios creates it
+ * @param {string} code
+ * @param {number} [status]
+ * @param {Record<string, string>} [headers]
+ * @returns {any}
+ */
+function axiosError(code, status, headers = {}) {
+	return Object.assign(new Error(`Request failed (${code})`), {
+		isAxiosError: true,
+		code,
+		config: { url: "/push" },
+		response: status ? { status, headers } : undefined,
+	});
+}
+
+describe("errors => toHailoError", () => {
+	it("should keep the code of failed connections", () => {
+		const error = toHailoError(axiosError("ECONNREFUSED"));
+		expect(error).to.be.instanceOf(ConnectionError).and.instanceOf(HailoError);
+		expect(error).to.include({ code: "ECONNREFUSED", name: "ConnectionError" });
+	});
+
+	it("should map the status of the answer", () => {
+		expect(toHailoError(axiosError("ERR_BAD_REQUEST", 403)))
+			.to.be.instanceOf(AuthError)
+			.and.include({ code: "EAUTH" });
+		expect(toHailoError(axiosError("ERR_BAD_RESPONSE", 503, { "retry-after": "5" })))
+			.to.be.instanceOf(DeviceBusyError)
+			.and.include({ code: "EBUSY", retryAfter: 5000 });
+		expect(toHailoError(axiosError("ERR_BAD_REQUEST", 429))).to.include({ code: "EBUSY", retryAfter: 0 });
+		expect(toHailoError(axiosError("ERR_BAD_REQUEST", 404)))
+			.to.be.instanceOf(ProtocolError)
+			.and.include({ code: "EPROTO", message: "Unexpected status 404 for /push" });
+	});
+
+	it("should pass typed and programming errors through", () => {
+		const invalid = new ValidationError("Invalid network config: ip", ["ip"]);
+		expect(toHailoError(invalid)).to.equal(invalid);
+		expect(invalid).to.include({ code: "EINVAL" }).and.have.property("errors").that.deep.equals(["ip"]);
+		const bug = new TypeError("Cannot read properties of undefined");
+		expect(toHailoError(bug)).to.equal(bug);
+	});
+});
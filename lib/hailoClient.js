@@ -1,30 +1,95 @@
 "use strict";
 
+const { EventEmitter } = require("events");
+const { isDeepStrictEqual } = require("util");
 const axios = require("axios");
 const cheerio = require("cheerio");
+const { mergeNetworkConfig, resolveFieldNames, validateNetworkConfig } = require("./networkConfig");
+const { getQueue } = require("./requestQueue");
+const { EPARSE } = require("./diagnostics");
+const { AuthError, ConnectionError, ProtocolError, ValidationError, toHailoError } = require("./errors");
+const { DEFAULT_PROTOCOL, parseInfoBySpans, parseInfoHeuristic, resolvePinFields, selectProtocol } = require("./protocol");
 
 /**
- * Client for communicating with Hailo Libero 3.0 device
+ * How often a request is repeated after a connection error, and the first delay in milliseconds (doubled per retry).
+ * Commands with side effects (open, restart, PIN, network) are sent only once.
  */
-class HailoClient {
+const RETRY_POLICIES = {
+	read: { retries: 2, backoff: 500 },
+	write: { retries: 1, backoff: 1000 },
+	once: { retries: 0, backoff: 0 },
+};
+
+/** Error codes of failed connections that are worth a retry */
+const TRANSIENT_ERRORS = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EHOSTUNREACH"];
+
+/** A session is renewed this long before its cookie expires */
+const SESSION_EXPIRY_MARGIN = 1000;
+
+/**
+ * Client for communicating with Hailo Libero 3.0 device.
+ * Failed requests reject with the errors of ./errors: ConnectionError, AuthError, ProtocolError,
+ * DeviceBusyError or ValidationError. The code of the error is also kept in lastError.
+ *
+ * Every read of the homepage is compared with the previous one, the client emits:
+ * - connected - a login or a request with the session succeeded after the device was offline
+ * - disconnected (error) - offlineAfter requests in a row failed with a ConnectionError
+ * - infoChanged (info, previous) - the system info block changed, previous is null on the first read
+ * - settingsChanged (settings, previous) - the inputs of the homepage changed, previous is null on the first read
+ * - opened - the status left "Ready", by the hand sensor or by openLid()
+ * - error (error) - a request failed, only emitted if a listener is registered
+ */
+class HailoClient extends EventEmitter {
 	/**
 	 * @param {string} ip - Device IP address
 	 * @param {number} port - Device port (default: 81)
 	 * @param {string} password - Device password (default: hailo)
 	 * @param {object} logger - Logger object (optional)
+	 * @param {{timeout?: number, sessionTtl?: number, offlineAfter?: number}} [options] - Request timeout in
+	 *   milliseconds (default: 10000), session lifetime in milliseconds if the cookie does not tell (default: 0, unknown)
+	 *   and failed requests in a row before disconnected is emitted (default: 1)
 	 */
-	constructor(ip, port = 81, password = "hailo", logger = null) {
+	constructor(ip, port = 81, password = "hailo", logger = null, options = {}) {
+		super();
 		this.ip = ip;
 		this.port = port;
 		this.password = password;
 		this.logger = logger;
 		this.baseUrl = `http://${ip}:${port}`;
 		this.sessionCookie = null;
+		/** Expiry of the session cookie as timestamp, 0 if unknown */
+		this.sessionExpires = 0;
+		this.sessionTtl = options.sessionTtl || 0;
+		this.authenticated = false;
+		/** @type {(Error & {code?: string}) | null} - Error of the last failed request, null after a success */
+		this.lastError = null;
+		/** Round trip time of the last answered request in milliseconds */
+		this.lastLatency = 0;
+		/** Timestamp of the last answer from the device, 0 if none */
+		this.lastSeen = 0;
+		/** Whether the device accepted the PIN and answered since it was last offline */
+		this.connected = false;
+		/** Failed requests in a row */
+		this.failures = 0;
+		this.offlineAfter = options.offlineAfter || 1;
+		/** @type {Record<string, any> | null} - System info block of the last read of the homepage */
+		this.info = null;
+		/** @type {Record<string, any> | null} - Inputs of the last read of the homepage */
+		this.settings = null;
+		// Shared by all clients of the same device
+		this.queue = getQueue(this.baseUrl);
+
+		// Endpoints and parsing rules, selected by the firmware version once it is known
+		this.protocol = DEFAULT_PROTOCOL;
+		/** @type {string | null} */
+		this.firmware = null;
+		/** @type {string | null} - Compatibility of the firmware, see protocol.Compatibility */
+		this.compatibility = null;
 
 		// Create axios instance with default config
 		this.client = axios.create({
 			baseURL: this.baseUrl,
-			timeout: 10000,
+			timeout: options.timeout || 10000,
 		});
 	}
 
@@ -40,65 +105,143 @@ class HailoClient {
 	}
 
 	/**
-	 * Ensure we are authenticated; tries checkAuth first then authenticate
+	 * Log in unless there is a session that has not expired yet
+	 * @returns {Promise<void>}
 	 */
 	async ensureAuth() {
-		const authed = await this.checkAuth();
-		if (!authed) {
-			return this.authenticate();
+		if (!this.hasValidSession()) {
+			await this.authenticate();
 		}
-		return true;
 	}
 
 	/**
 	 * Authenticate with the device
-	 * @returns {Promise<boolean>} - Authentication success
+	 * @returns {Promise<void>} - Rejects with an AuthError if the PIN was rejected
 	 */
 	async authenticate() {
+		let success;
 		try {
-			this.log("debug", `Attempting to authenticate with ${this.baseUrl}`);
-
-			// Send form-encoded pin - no redirect expected, just 200 OK with Set-Cookie
-			const params = new URLSearchParams();
-			params.append("pin", this.password);
-			params.append("submit", "");
-
-			const response = await this.client.post("/login", params.toString(), {
-				headers: {
-					"Content-Type": "application/x-www-form-urlencoded",
-					...(this.sessionCookie ? { Cookie: this.sessionCookie } : {})
-				},
-				maxRedirects: 0,
-				validateStatus: (status) => status >= 200 && status < 400,
-			});
-
-			// Check if authentication was successful (status 200 or 301)
-			if (response.status === 200 || response.status === 301) {
-				// Extract cookie from Set-Cookie header
-				const setCookieHeader = response.headers["set-cookie"];
-				if (setCookieHeader) {
-					const cookieMatch = Array.isArray(setCookieHeader)
-						? setCookieHeader[0].match(/^c=([^;]+)/)
-						: setCookieHeader.match(/^c=([^;]+)/);
-
-					if (cookieMatch) {
-						this.sessionCookie = `c=${cookieMatch[1]}`;
-						this.authenticated = true;
-						this.log("info", "Successfully authenticated with Hailo Libero device");
-						return true;
-					}
-				}
+			success = await this.queue.run(() => this.login());
+		} catch (error) {
+			this.log("error", `Authentication failed: ${error.message}`);
+			throw this.fail(toHailoError(error));
+		}
+		if (!success) {
+			throw this.fail(new AuthError("The device rejected the PIN"));
+		}
+		this.markConnected();
+	}
+
+	/**
+	 * Keep an error as lastError, emit it and count connection errors for the connection state
+	 * @param {Error} error
+	 * @returns {Error} - The error, to be thrown
+	 */
+	fail(error) {
+		this.lastError = error;
+		if (this.listenerCount("error")) {
+			this.emit("error", error);
+		}
+		if (error instanceof ConnectionError) {
+			this.failures++;
+			if (this.connected && this.failures >= this.offlineAfter) {
+				this.connected = false;
+				this.emit("disconnected", error);
 			}
+		}
+		return error;
+	}
 
-			this.log("warn", `Authentication failed - no valid session cookie received (status: ${response.status})`);
-			this.authenticated = false;
-			return false;
+	/**
+	 * Reset the failure count after the device accepted the session and emit connected if it was offline
+	 */
+	markConnected() {
+		this.failures = 0;
+		if (!this.connected) {
+			this.connected = true;
+			this.emit("connected");
+		}
+	}
 
-		} catch (error) {
-			this.log("error", `Authentication failed: ${error.message}`);
-			this.authenticated = false;
-			return false;
+	/**
+	 * Forget the session and the connection state without emitting disconnected,
+	 * e.g. when the caller stops polling. The next successful login emits connected again.
+	 */
+	disconnect() {
+		this.invalidateSession();
+		this.connected = false;
+		this.failures = 0;
+	}
+
+	/**
+	 * Send the PIN and store the session cookie. Must only be called from a queued task.
+	 * @returns {Promise<boolean>} - false if the PIN was rejected; network errors are thrown
+	 */
+	async login() {
+		this.log("debug", `Attempting to authenticate with ${this.baseUrl}`);
+		this.invalidateSession();
+
+		// Send form-encoded pin - the device answers with a redirect and Set-Cookie
+		const params = new URLSearchParams();
+		params.append(this.protocol.fields.pin, this.password);
+		params.append("submit", "");
+
+		const response = await this.client.post(this.protocol.paths.login, params.toString(), {
+			headers: { "Content-Type": "application/x-www-form-urlencoded" },
+			maxRedirects: 0,
+			validateStatus: (status) => status >= 200 && status < 400,
+		});
+
+		// Check if authentication was successful (status 200 or 301)
+		if (response.status === 200 || response.status === 301) {
+			const setCookieHeader = response.headers["set-cookie"];
+			const cookies = Array.isArray(setCookieHeader) ? setCookieHeader : setCookieHeader ? [setCookieHeader] : [];
+			const cookie = cookies.find((header) => /^c=[^;]+/.test(header));
+			if (cookie) {
+				this.sessionCookie = cookie.split(";")[0];
+				this.sessionExpires = this.getSessionExpiry(cookie);
+				this.authenticated = true;
+				this.log("info", "Successfully authenticated with Hailo Libero device");
+				return true;
+			}
+		}
+
+		this.log("warn", `Authentication failed - no valid session cookie received (status: ${response.status})`);
+		return false;
+	}
+
+	/**
+	 * Expiry of a session cookie from its Max-Age or Expires attribute, else from the configured lifetime
+	 * @param {string} cookie - Set-Cookie header
+	 * @returns {number} - Timestamp, 0 if unknown
+	 */
+	getSessionExpiry(cookie) {
+		const maxAge = /;\s*max-age=(\d+)/i.exec(cookie);
+		if (maxAge) {
+			return Date.now() + Number(maxAge[1]) * 1000;
+		}
+		const expires = /;\s*expires=([^;]+)/i.exec(cookie);
+		if (expires && !Number.isNaN(Date.parse(expires[1]))) {
+			return Date.parse(expires[1]);
 		}
+		return this.sessionTtl ? Date.now() + this.sessionTtl : 0;
+	}
+
+	/**
+	 * Whether there is a session cookie that is not known to be expired
+	 * @returns {boolean}
+	 */
+	hasValidSession() {
+		return !!this.sessionCookie && (!this.sessionExpires || Date.now() < this.sessionExpires - SESSION_EXPIRY_MARGIN);
+	}
+
+	/**
+	 * Forget the session cookie
+	 */
+	invalidateSession() {
+		this.sessionCookie = null;
+		this.sessionExpires = 0;
+		this.authenticated = false;
 	}
 
 	/**
@@ -110,25 +253,124 @@ class HailoClient {
 	}
 
 	/**
-	 * Check if already authenticated by probing '/'
+	 * Send a request through the queue of the device.
+	 * Logs in first if there is no valid session, and once more if the device redirects to the login page.
+	 * Transient network errors are retried with exponential backoff according to the retry policy.
+	 * @param {import("axios").AxiosRequestConfig} config - Request config, may contain a timeout for this request
+	 * @param {{auth?: boolean, retry?: keyof typeof RETRY_POLICIES}} [options]
+	 * @returns {Promise<import("axios").AxiosResponse>}
+	 */
+	request(config, { auth = true, retry = "read" } = {}) {
+		const policy = RETRY_POLICIES[retry];
+		return this.queue.run(async () => {
+			for (let attempt = 0; ; attempt++) {
+				try {
+					const response = await this.send(config, auth);
+					this.lastError = null;
+					if (auth) {
+						this.markConnected();
+					}
+					return response;
+				} catch (error) {
+					if (attempt >= policy.retries || !HailoClient.isTransientError(error)) {
+						throw this.fail(toHailoError(error));
+					}
+					const delay = policy.backoff * 2 ** attempt;
+					this.log("debug", `${config.url} failed (${error.message}), retrying in ${delay} ms`);
+					await new Promise((resolve) => setTimeout(resolve, delay));
+				}
+			}
+		});
+	}
+
+	/**
+	 * Send a request with session handling. Must only be called from a queued task.
+	 * @param {import("axios").AxiosRequestConfig} config
+	 * @param {boolean} auth - Send the session cookie and log in if needed
+	 * @returns {Promise<import("axios").AxiosResponse>}
+	 */
+	async send(config, auth) {
+		if (auth && !this.hasValidSession() && !(await this.login())) {
+			throw new AuthError("The device rejected the PIN");
+		}
+
+		let response = await this.sendOnce(config, auth);
+		if (auth && HailoClient.isLoginRedirect(response)) {
+			this.log("debug", `Session expired, logging in again for ${config.url}`);
+			if (!(await this.login())) {
+				throw new AuthError("The device rejected the PIN");
+			}
+			response = await this.sendOnce(config, auth);
+			if (HailoClient.isLoginRedirect(response)) {
+				this.invalidateSession();
+				throw new AuthError("The session was rejected right after login");
+			}
+		}
+
+		// Follow other redirects like a browser does, e.g. back to the homepage after a form post
+		if (!HailoClient.isLoginRedirect(response) && response.status >= 300 && response.headers.location) {
+			response = await this.sendOnce({ method: "get", url: response.headers.location, timeout: config.timeout }, auth);
+		}
+		return response;
+	}
+
+	/**
+	 * Send a single request without following redirects and measure its round trip time
+	 * @param {import("axios").AxiosRequestConfig} config
+	 * @param {boolean} auth - Send the session cookie
+	 * @returns {Promise<import("axios").AxiosResponse>}
+	 */
+	async sendOnce(config, auth) {
+		const started = Date.now();
+		const response = await this.client.request({
+			...config,
+			maxRedirects: 0,
+			validateStatus: (status) => status >= 200 && status < 400,
+			headers: { ...config.headers, ...(auth ? this.getAuthHeaders() : {}) },
+		});
+		this.lastSeen = Date.now();
+		this.lastLatency = this.lastSeen - started;
+		return response;
+	}
+
+	/**
+	 * Whether the device sent us to the login page
+	 * @param {import("axios").AxiosResponse} response
+	 * @returns {boolean}
+	 */
+	static isLoginRedirect(response) {
+		return response.status >= 300 && response.status < 400 && /\/login/.test(String(response.headers.location || ""));
+	}
+
+	/**
+	 * Whether a request failed because of the connection and may succeed when repeated
+	 * @param {any} error
+	 * @returns {boolean}
+	 */
+	static isTransientError(error) {
+		return !error.response && TRANSIENT_ERRORS.includes(error.code);
+	}
+
+	/**
+	 * Reject a response that is not a plain 200
+	 * @param {import("axios").AxiosResponse} response
+	 * @param {string} operation - e.g. "Writing settings"
+	 */
+	expectOk(response, operation) {
+		if (response.status !== 200) {
+			throw this.fail(new ProtocolError(`${operation} failed with status ${response.status}`));
+		}
+	}
+
+	/**
+	 * Check if the current session is accepted by probing '/'
 	 * @returns {Promise<boolean>}
 	 */
 	async checkAuth() {
 		try {
-			const response = await this.client.get("/", {
-				maxRedirects: 0,
-				validateStatus: (s) => s >= 200 && s < 400,
-				headers: this.getAuthHeaders(),
-			});
-			if (response.status === 200) {
-				this.authenticated = true;
-				return true;
-			}
-			if (response.status === 301) {
-				this.authenticated = false;
-				return false;
-			}
-			return false;
+			const response = await this.queue.run(() => this.sendOnce({ method: "get", url: this.protocol.paths.home }, true));
+			this.authenticated = response.status === 200;
+			return this.authenticated;
 		} catch (error) {
 			this.log("error", `checkAuth failed: ${error.message}`);
 			return false;
@@ -136,13 +378,13 @@ class HailoClient {
 	}
 
 	/**
-	 * Test connection to device
-	 * @returns {Promise<object>} - Connection test result
+	 * Test connection to device. Resolves with the result instead of rejecting.
+	 * @returns {Promise<{success: boolean, status?: number, message: string, code?: string | null}>}
 	 */
 	async testConnection() {
 		try {
 			this.log("debug", `Testing connection to ${this.baseUrl}`);
-			const response = await this.client.get("/", { timeout: 5000 });
+			const response = await this.request({ method: "get", url: this.protocol.paths.home, timeout: 5000 }, { auth: false, retry: "once" });
 
 			return {
 				success: true,
@@ -154,53 +396,113 @@ class HailoClient {
 			return {
 				success: false,
 				message: error.message,
+				code: error.code || null,
 			};
 		}
 	}
 
+	/**
+	 * Check whether the device serves the PIN login form
+	 * @returns {Promise<boolean>}
+	 */
+	async hasLoginForm() {
+		try {
+			const response = await this.request({ method: "get", url: this.protocol.paths.login }, { auth: false, retry: "once" });
+			return cheerio.load(response.data)(`input[name=${this.protocol.fields.pin}]`).length > 0;
+		} catch (error) {
+			return false;
+		}
+	}
+
 	/**
 	 * Open the bin lid
-	 * @returns {Promise<boolean>} - Command success
+	 * @returns {Promise<void>}
 	 */
 	async openLid() {
-		try {
-			this.log("info", "Sending open lid command");
-			await this.ensureAuth();
+		this.log("info", "Sending open lid command");
+		const response = await this.request({ method: "get", url: this.protocol.paths.push }, { retry: "once" });
 
-			const response = await this.client.get("/push", {
-				headers: this.getAuthHeaders(),
-			});
+		const data = typeof response.data === "string" ? response.data : "";
+		if (response.status !== 200 || data.trim() !== "OK") {
+			throw this.fail(new ProtocolError(`Open lid failed: status ${response.status}, body: ${data.slice(0, 100)}`));
+		}
+		this.log("info", "Successfully opened lid");
+	}
 
-			const data = typeof response.data === "string" ? response.data : "";
-			if (response.status === 200 && data.trim() === "OK") {
-				this.log("info", "Successfully opened lid");
-				return true;
-			}
+	/**
+	 * Get device information, the settings and the network config with a single read of the homepage
+	 * @returns {Promise<{settings: Record<string, any>, info: Record<string, any>,
+	 *   network: import("./networkConfig").NetworkConfig | null}>} - Rejects with a ProtocolError (EPARSE)
+	 *   if the homepage has no system info block. network is null if the homepage has no network form.
+	 */
+	async getDeviceInfo() {
+		const response = await this.request({ method: "get", url: this.protocol.paths.home });
+		const data = this.parseHomepage(response.data);
+		if (Object.keys(data.info).length === 0) {
+			throw this.fail(new ProtocolError("The homepage has no system info block", EPARSE));
+		}
+		this.checkRanges(data.settings);
+		this.update(data);
+		const form = this.parseNetworkForm(response.data);
+		return { ...data, network: form ? form.config : null };
+	}
 
-			this.log("warn", `Open lid failed: status ${response.status}, body: ${data}`);
-			return false;
-		} catch (error) {
-			this.log("error", `Failed to open lid: ${error.message}`);
-			return false;
+	/**
+	 * Keep a read of the homepage and emit what changed since the previous one
+	 * @param {{settings: Record<string, any>, info: Record<string, any>}} data
+	 */
+	update({ settings, info }) {
+		const previousSettings = this.settings;
+		this.settings = settings;
+		if (!isDeepStrictEqual(settings, previousSettings)) {
+			this.emit("settingsChanged", settings, previousSettings);
+		}
+
+		if (Object.keys(info).length === 0) {
+			return;
+		}
+		const previousInfo = this.info;
+		this.info = info;
+		if (!isDeepStrictEqual(info, previousInfo)) {
+			this.emit("infoChanged", info, previousInfo);
+		}
+		if (previousInfo && HailoClient.isReadyStatus(previousInfo.status) && !HailoClient.isReadyStatus(info.status)) {
+			this.emit("opened");
 		}
 	}
 
 	/**
-	 * Get device information
-	 * @returns {Promise<object|null>} - Device info or null on error
+	 * Parse the homepage and switch the protocol if it shows another firmware version
+	 * @param {string} htmlString
+	 * @returns {{settings: Record<string, any>, info: Record<string, any>}}
 	 */
-	async getDeviceInfo() {
-		let htmlString;
-		try {
-			await this.ensureAuth();
-			const response = await this.client.get("/", { headers: this.getAuthHeaders() });
-			htmlString = response.data;
-		} catch (error) {
-			this.log("error", `Fehler beim Abrufen der Daten von ${this.baseUrl}: ${error.message}`);
-			return null;
+	parseHomepage(htmlString) {
+		const data = this.parseSettingsAndInfoFromHtml(htmlString);
+		if (data.info.firmware && this.useFirmware(data.info.firmware)) {
+			// Parse again with the rules of the new protocol
+			return this.parseSettingsAndInfoFromHtml(htmlString);
 		}
+		return data;
+	}
 
-		return this.parseSettingsAndInfoFromHtml(htmlString);
+	/**
+	 * Select the protocol for a firmware version
+	 * @param {string} firmware
+	 * @returns {boolean} - Whether the protocol changed
+	 */
+	useFirmware(firmware) {
+		if (firmware === this.firmware) {
+			return false;
+		}
+		const { protocol, compatibility } = selectProtocol(firmware);
+		const changed = protocol !== this.protocol;
+		this.firmware = firmware;
+		this.protocol = protocol;
+		this.compatibility = compatibility;
+
+		const message = `Firmware ${firmware} of ${this.baseUrl} is ${compatibility}, using protocol ${protocol.name}`;
+		this.log(compatibility === "supported" ? "debug" : "warn", message);
+		return changed;
 	}
 
 	/**
@@ -212,7 +514,10 @@ class HailoClient {
 		const $ = cheerio.load(htmlString);
 
 		const settings = {};
-		const info = {};
+		// Names the adapter uses for the range inputs of this protocol
+		const settingNames = Object.fromEntries(
+			Object.entries(this.protocol.settingFields).map(([key, field]) => [field, key]),
+		);
 
 		$("input:not(.button)").each((i, el) => {
 			const input = $(el);
@@ -227,7 +532,7 @@ class HailoClient {
 
 			// Wenn es ein 'range'-Typ ist
 			if (input.attr("type") === "range") {
-				settings[name] = {
+				settings[settingNames[name] || name] = {
 					value: parseInt(input.attr("value"), 10),
 					min: parseInt(input.attr("min"), 10),
 					max: parseInt(input.attr("max"), 10),
@@ -243,49 +548,49 @@ class HailoClient {
 		});
 
 		// --- Infos extrahieren (HailoInfo) ---
-		// Suche das <p> Element, das die Spans mit IDs t5-t10 enthält (Systeminfo-Bereich)
-		const systemInfoP = $("span#t5").parent("p");
-
-		if (systemInfoP.length > 0) {
-			// Helper-Funktion: Extrahiert den Text nach dem <span> bis zum nächsten <br> oder <span>
-			const getValueAfterSpan = (spanId) => {
-				const span = $(`span#${spanId}`);
-				if (span.length === 0) return null;
-
-				// Text direkt nach dem Span bis zum nächsten Element
-				const nextNode = span[0].nextSibling;
-				if (nextNode && nextNode.type === "text") {
-					// Entferne führenden Doppelpunkt und Whitespace
-					return nextNode.data.replace(/^:\s*/, "").trim();
-				}
-				return null;
-			};
-
-			info.device = getValueAfterSpan("t5");     // Gerät: Libero30_25266A
-			info.firmware = getValueAfterSpan("t6");   // SW Version: 3.0.4
-			info.status = getValueAfterSpan("t7");     // Status: Ready
-			info.ssid = getValueAfterSpan("t8");       // STA-SSID: Eriks-Home
-			info.dhcp_ip = getValueAfterSpan("t9");    // STA-IP: 192.168.10.25
-			info.dhcp_subnet = getValueAfterSpan("t10"); // STA-Subnet Mask: 255.255.255.0
+		// System info block by the span ids of the protocol, else by the labels of its lines
+		let info = parseInfoBySpans($, this.protocol);
+		if (Object.keys(info).length === 0) {
+			info = parseInfoHeuristic($);
 		}
 
 		return { settings, info };
 	}
 
 	/**
-	 * Read and cache settings and info from device homepage
-	 * @returns {Promise<{settings: object}|null>}
+	 * Check whether a status text from the system info block means the device is idle and operational
+	 * @param {string | null | undefined} status - Status text, e.g. "Ready"
+	 * @returns {boolean}
+	 */
+	static isReadyStatus(status) {
+		return typeof status === "string" && status.trim().toLowerCase() === "ready";
+	}
+
+	/**
+	 * Read the settings from the device homepage, the changes are emitted like by getDeviceInfo()
+	 * @returns {Promise<Record<string, any>>} - Rejects with a ProtocolError (EPARSE) if a range input has no valid numbers
 	 */
 	async readSettings() {
-		try {
-			await this.ensureAuth();
-			const response = await this.client.get("/", { headers: this.getAuthHeaders() });
-			const { settings } = this.parseSettingsAndInfoFromHtml(response.data);
-			this.settings = settings;
-			return settings;
-		} catch (error) {
-			this.log("error", `Failed to read settings: ${error.message}`);
-			return null;
+		const response = await this.request({ method: "get", url: this.protocol.paths.home });
+		const data = this.parseHomepage(response.data);
+		this.checkRanges(data.settings);
+		this.update(data);
+		return data.settings;
+	}
+
+	/**
+	 * Make sure every range input has a numeric value and limits, the range checks of writes rely on them
+	 * @param {Record<string, any>} settings - Settings as parsed by parseSettingsAndInfoFromHtml
+	 */
+	checkRanges(settings) {
+		for (const [name, input] of Object.entries(settings)) {
+			if (
+				input &&
+				typeof input === "object" &&
+				![input.value, input.min, input.max].every((number) => Number.isFinite(number))
+			) {
+				throw this.fail(new ProtocolError(`The range input ${name} has no valid value, min and max`, EPARSE));
+			}
 		}
 	}
 
@@ -293,58 +598,208 @@ class HailoClient {
 	 * Write basic settings (led, pwr, dist)
 	 * @param {{led?: number, pwr?: number, dist?: number}} settings
 	 * @param {boolean} dryRun
+	 * @returns {Promise<void>}
 	 */
 	async writeSettings(settings = {}, dryRun = false) {
-		try {
+		if (dryRun) {
 			await this.ensureAuth();
-			if (dryRun) {
-				this.log("debug", "writeSettings dry run");
-				return true;
-			}
+			this.log("debug", "writeSettings dry run");
+			return;
+		}
 
-			const params = new URLSearchParams();
-			if (settings.led !== undefined) params.append("led", String(settings.led));
-			if (settings.pwr !== undefined) params.append("pwr", String(settings.pwr));
-			if (settings.dist !== undefined) params.append("dist", String(settings.dist));
+		const params = new URLSearchParams();
+		for (const [key, value] of Object.entries(settings)) {
+			if (value !== undefined) params.append(this.protocol.settingFields[key] || key, String(value));
+		}
 
-			const response = await this.client.post("/settings", params.toString(), {
-				headers: { "Content-Type": "application/x-www-form-urlencoded", ...this.getAuthHeaders() },
-			});
+		const response = await this.request(
+			{
+				method: "post",
+				url: this.protocol.paths.settings,
+				data: params.toString(),
+				headers: { "Content-Type": "application/x-www-form-urlencoded" },
+			},
+			{ retry: "write" },
+		);
+		this.expectOk(response, "Writing settings");
+		this.log("info", `Settings updated`);
+	}
 
-			if (response.status === 200) {
-				this.log("info", `Settings updated`);
-				return true;
+	/**
+	 * Parse the WiFi station form (the form that holds the ipconf radio buttons)
+	 * @param {string} htmlString
+	 * @returns {{action: string, fields: Record<string, string>, config: import("./networkConfig").NetworkConfig} | null}
+	 *   - null if the page has no such form
+	 */
+	parseNetworkForm(htmlString) {
+		const $ = cheerio.load(htmlString);
+		const form = $("input[name=ipconf]").first().closest("form");
+		if (form.length === 0) {
+			return null;
+		}
+
+		const inputNames = form
+			.find("input:not(.button)")
+			.map((i, el) => $(el).attr("name"))
+			.get()
+			.filter(Boolean);
+		const fields = resolveFieldNames(inputNames);
+		/** @param {string} name */
+		const valueOf = (name) => form.find(`input[name="${name}"]`).attr("value") || "";
+
+		return {
+			// Like a browser, a form without action is sent to the page it was loaded from
+			action: form.attr("action") || this.protocol.paths.home,
+			fields,
+			config: {
+				ssid: valueOf(fields.ssid),
+				// ipconf "1" selects a static address, "0" DHCP
+				dhcp: form.find("input[name=ipconf]:checked").attr("value") !== "1",
+				ip: valueOf(fields.ip),
+				subnet: valueOf(fields.subnet),
+				gateway: valueOf(fields.gateway),
+			},
+		};
+	}
+
+	/**
+	 * Read the network form of the homepage
+	 * @returns {Promise<{action: string, fields: Record<string, string>, config: import("./networkConfig").NetworkConfig}>}
+	 *   - Rejects with a ProtocolError (EPARSE) if the homepage has no network form
+	 */
+	async readNetworkForm() {
+		const response = await this.request({ method: "get", url: this.protocol.paths.home });
+		const form = this.parseNetworkForm(response.data);
+		if (!form) {
+			throw this.fail(new ProtocolError("The homepage has no network form", EPARSE));
+		}
+		return form;
+	}
+
+	/**
+	 * Read the WiFi station configuration. The WiFi password is never returned.
+	 * @returns {Promise<import("./networkConfig").NetworkConfig>}
+	 */
+	async readNetworkConfig() {
+		return (await this.readNetworkForm()).config;
+	}
+
+	/**
+	 * Change the WiFi station configuration. Values that are not given are kept.
+	 * The device reconnects to the network afterwards and may get a new address.
+	 * @param {import("./networkConfig").NetworkConfig} config
+	 * @param {boolean} dryRun
+	 * @returns {Promise<void>} - Rejects with a ValidationError if the merged config is invalid
+	 */
+	async writeNetworkConfig(config = {}, dryRun = false) {
+		const form = await this.readNetworkForm();
+		const merged = mergeNetworkConfig(form.config, config);
+
+		const errors = validateNetworkConfig(merged);
+		if (errors.length) {
+			throw this.fail(new ValidationError(`Invalid network config: ${errors.join(", ")}`, errors));
+		}
+
+		const params = new URLSearchParams();
+		params.append("ipconf", merged.dhcp ? "0" : "1");
+		params.append(form.fields.ssid, merged.ssid || "");
+		if (merged.password !== undefined) params.append(form.fields.password, merged.password);
+		params.append(form.fields.ip, merged.ip || "");
+		params.append(form.fields.subnet, merged.subnet || "");
+		params.append(form.fields.gateway, merged.gateway || "");
+
+		if (dryRun) {
+			this.log("debug", `writeNetworkConfig dry run: POST ${form.action}`);
+			return;
+		}
+
+		const result = await this.request(
+			{
+				method: "post",
+				url: form.action,
+				data: params.toString(),
+				headers: { "Content-Type": "application/x-www-form-urlencoded" },
+			},
+			{ retry: "once" },
+		);
+		this.expectOk(result, "Writing the network config");
+		this.log("info", "Network config updated");
+	}
+
+	/**
+	 * Find the form of the page that changes the PIN, recognized by the names of its inputs
+	 * @param {string} htmlString
+	 * @returns {{action: string, fields: {newPin: string, oldPin?: string, confirm?: string}} | null}
+	 *   - null if the page has no such form
+	 */
+	parsePinForm(htmlString) {
+		const $ = cheerio.load(htmlString);
+		for (const element of $("form").toArray()) {
+			const form = $(element);
+			const inputNames = form
+				.find("input:not(.button)")
+				.map((i, el) => $(el).attr("name"))
+				.get()
+				.filter(Boolean);
+			const fields = resolvePinFields(inputNames);
+			if (fields) {
+				// Like a browser, a form without action is sent to the page it was loaded from
+				return { action: form.attr("action") || this.protocol.paths.home, fields };
 			}
-			this.log("error", `Error writing settings: status ${response.status}`);
-			return false;
-		} catch (error) {
-			this.log("error", `Failed to write settings: ${error.message}`);
-			return false;
 		}
+		return null;
+	}
+
+	/**
+	 * Change the device PIN with the PIN form of the homepage. The client keeps using the old PIN until the caller
+	 * has verified the new one and updated the password property.
+	 * @param {string} newPin
+	 * @param {boolean} dryRun
+	 * @returns {Promise<void>} - Rejects with a ProtocolError (EPARSE) if the homepage has no PIN form
+	 */
+	async changePin(newPin, dryRun = false) {
+		const page = await this.request({ method: "get", url: this.protocol.paths.home });
+		const form = this.parsePinForm(page.data);
+		if (!form) {
+			throw this.fail(new ProtocolError("The homepage has no form to change the PIN", EPARSE));
+		}
+		if (dryRun) {
+			this.log("debug", `changePin dry run: POST ${form.action}`);
+			return;
+		}
+
+		const params = new URLSearchParams();
+		if (form.fields.oldPin) params.append(form.fields.oldPin, this.password);
+		params.append(form.fields.newPin, newPin);
+		if (form.fields.confirm) params.append(form.fields.confirm, newPin);
+
+		const response = await this.request(
+			{
+				method: "post",
+				url: form.action,
+				data: params.toString(),
+				headers: { "Content-Type": "application/x-www-form-urlencoded" },
+			},
+			{ retry: "once" },
+		);
+		this.expectOk(response, "Changing the PIN");
+		this.log("info", "PIN changed");
 	}
 
 	/**
 	 * Restart the device
 	 * @param {boolean} dryRun
+	 * @returns {Promise<void>}
 	 */
 	async restart(dryRun = false) {
-		try {
+		if (dryRun) {
 			await this.ensureAuth();
-			if (dryRun) {
-				this.log("debug", "restart dry run");
-				return true;
-			}
-			const response = await this.client.post("/restart", {}, { headers: this.getAuthHeaders() });
-			if (response.status === 200) {
-				this.log("info", "Restart command sent successfully");
-				return true;
-			}
-			this.log("error", `Restart failed with status ${response.status}`);
-			return false;
-		} catch (error) {
-			this.log("error", `Failed to restart: ${error.message}`);
-			return false;
+			this.log("debug", "restart dry run");
+			return;
 		}
+		const response = await this.request({ method: "post", url: this.protocol.paths.restart, data: {} }, { retry: "once" });
+		this.expectOk(response, "Restart");
+		this.log("info", "Restart command sent successfully");
 	}
 }
 
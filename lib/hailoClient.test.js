@@ -0,0 +1,270 @@
+"use strict";
+
+const { expect } = require("chai");
+const HailoClient = require("./hailoClient");
+const LiberoSimulator = require("./simulator");
+const { AuthError, ConnectionError, DeviceBusyError, ProtocolError, ValidationError } = require("./errors");
+
+/**
+ * The error a promise rejects with
+ * @param {Promise<any>} promise
+ * @returns {Promise<any>}
+ */
+async function rejectionOf(promise) {
+	try {
+		await promise;
+	} catch (error) {
+		return error;
+	}
+	throw new Error("The promise did not reject");
+}
+
+describe("HailoClient against the Libero simulator", () => {
+	/** @type {LiberoSimulator} */
+	let simulator;
+	/** @type {HailoClient} */
+	let client;
+
+	beforeEach(async () => {
+		simulator = new LiberoSimulator({ restartDuration: 200, openDuration: 100 });
+		const port = await simulator.start();
+		client = new HailoClient("127.0.0.1", port, "hailo");
+	});
+
+	afterEach(() => simulator.stop());
+
+	it("should authenticate with the c= cookie", async () => {
+		await client.authenticate();
+		expect(client.sessionCookie).to.match(/^c=[0-9a-f]+$/);
+	});
+
+	it("should fail to authenticate with a wrong PIN", async () => {
+		simulator.wrongPin = true;
+		const error = await rejectionOf(client.authenticate());
+		expect(error).to.be.instanceOf(AuthError).and.include({ code: "EAUTH" });
+	});
+
+	it("should keep the last error and the round trip time", async () => {
+		simulator.wrongPin = true;
+		expect(await rejectionOf(client.getDeviceInfo())).to.be.instanceOf(AuthError);
+		expect(client.lastError).to.include({ code: "EAUTH" });
+
+		simulator.wrongPin = false;
+		simulator.latency = 20;
+		await client.getDeviceInfo();
+		expect(client.lastError).to.equal(null);
+		expect(client.lastLatency).to.be.at.least(15);
+		expect(client.lastSeen).to.be.closeTo(Date.now(), 1000);
+	});
+
+	it("should read settings and info from the homepage", async () => {
+		const data = await client.getDeviceInfo();
+		expect(data?.settings.led).to.deep.equal({ value: 5, min: 1, max: 10 });
+		expect(data?.settings.dist).to.deep.equal({ value: 50, min: 31, max: 100 });
+		expect(data?.settings.ipconf).to.equal(false);
+		expect(data?.info).to.include({
+			device: "Libero30_25266A",
+			firmware: "3.0.4",
+			status: "Ready",
+			ssid: "Home",
+			dhcp_ip: "192.168.10.25",
+			dhcp_subnet: "255.255.255.0",
+		});
+	});
+
+	it("should read range inputs of newer firmware", async () => {
+		simulator.settings.beep = { value: 1, min: 0, max: 3 };
+		const settings = await client.readSettings();
+		expect(settings?.beep).to.deep.equal({ value: 1, min: 0, max: 3 });
+	});
+
+	it("should write settings", async () => {
+		await client.writeSettings({ led: 8, pwr: 3, dist: 70 });
+		const settings = await client.readSettings();
+		expect(settings?.led.value).to.equal(8);
+		expect(settings?.pwr.value).to.equal(3);
+		expect(settings?.dist.value).to.equal(70);
+	});
+
+	it("should not send settings in dry run mode", async () => {
+		await client.writeSettings({ led: 8 }, true);
+		expect(simulator.settings.led.value).to.equal(5);
+		expect(simulator.requests).to.not.include("POST /settings");
+	});
+
+	it("should open the lid", async () => {
+		await client.openLid();
+		expect(simulator.openCount).to.equal(1);
+	});
+
+	it("should log in again after the session expired", async () => {
+		simulator.sessionTtl = 50;
+		await client.authenticate();
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		await client.openLid();
+		expect(simulator.openCount).to.equal(1);
+	});
+
+	it("should not probe the session before every request", async () => {
+		await client.getDeviceInfo();
+		await client.getDeviceInfo();
+		expect(simulator.requests).to.deep.equal(["POST /login", "GET /", "GET /"]);
+	});
+
+	it("should log in only once for concurrent requests", async () => {
+		simulator.latency = 20;
+		await Promise.all([client.openLid(), client.readSettings(), client.writeSettings({ led: 7 })]);
+		expect(simulator.openCount).to.equal(1);
+		expect(simulator.requests.filter((request) => request === "POST /login")).to.have.length(1);
+		expect(simulator.settings.led.value).to.equal(7);
+	});
+
+	it("should retry reads after a connection error", async () => {
+		await client.authenticate();
+		simulator.restart();
+		const data = await client.getDeviceInfo();
+		expect(data?.info.firmware).to.equal("3.0.4");
+	});
+
+	it("should rate the firmware of the device", async () => {
+		await client.getDeviceInfo();
+		expect(client.compatibility).to.equal("supported");
+
+		simulator.info.firmware = "3.1.0";
+		await client.getDeviceInfo();
+		expect(client.compatibility).to.equal("untested");
+		expect(client.protocol.name).to.equal("libero-3");
+	});
+
+	it("should reject malformed HTML with a ProtocolError", async () => {
+		simulator.malformedHtml = true;
+		const error = await rejectionOf(client.getDeviceInfo());
+		expect(error).to.be.instanceOf(ProtocolError).and.include({ code: "EPARSE" });
+		const invalid = await rejectionOf(client.readSettings());
+		expect(invalid).to.be.instanceOf(ProtocolError).and.include({ code: "EPARSE" });
+		expect(invalid.message).to.include("led");
+	});
+
+	it("should reject with typed errors", async () => {
+		simulator.busy = true;
+		const busy = await rejectionOf(client.openLid());
+		expect(busy).to.be.instanceOf(DeviceBusyError).and.include({ code: "EBUSY", retryAfter: 2000 });
+		expect(simulator.openCount).to.equal(0);
+
+		simulator.busy = false;
+		const wrongPin = await rejectionOf(new HailoClient("127.0.0.1", client.port, "wrong").changePin("1234"));
+		expect(wrongPin).to.be.instanceOf(AuthError);
+
+		await simulator.stop();
+		const offline = await rejectionOf(client.readSettings());
+		expect(offline).to.be.instanceOf(ConnectionError).and.include({ code: "ECONNREFUSED" });
+		expect(client.lastError).to.equal(offline);
+	});
+
+	it("should emit changes of the homepage", async () => {
+		/** @type {any[][]} */
+		const events = [];
+		for (const event of ["connected", "infoChanged", "settingsChanged", "opened"]) {
+			client.on(event, (...args) => events.push([event, ...args]));
+		}
+
+		const data = await client.getDeviceInfo();
+		expect(data.network).to.include({ ssid: "Home", dhcp: true });
+		expect(events.map(([event]) => event)).to.deep.equal(["connected", "settingsChanged", "infoChanged"]);
+		expect(events[1][2]).to.equal(null);
+
+		events.length = 0;
+		await client.getDeviceInfo();
+		expect(events).to.deep.equal([]);
+
+		simulator.settings.led.value = 3;
+		await client.openLid();
+		await client.readSettings();
+		expect(events.map(([event]) => event)).to.deep.equal(["settingsChanged", "infoChanged", "opened"]);
+		const [, settings, previous] = events[0];
+		expect(previous.led.value).to.equal(5);
+		expect(settings.led.value).to.equal(3);
+		expect(events[1][1].status).to.equal("Opening");
+	});
+
+	it("should emit disconnected after failed requests in a row", async () => {
+		const offline = new HailoClient("127.0.0.1", client.port, "hailo", null, { offlineAfter: 2 });
+		/** @type {string[]} */
+		const events = [];
+		offline.on("connected", () => events.push("connected"));
+		offline.on("disconnected", (error) => events.push(`disconnected ${error.name}`));
+		offline.on("error", (error) => events.push(`error ${error.name}`));
+
+		await offline.getDeviceInfo();
+		simulator.malformedHtml = true;
+		await rejectionOf(offline.getDeviceInfo());
+		simulator.malformedHtml = false;
+		await simulator.stop();
+		await rejectionOf(offline.openLid());
+		await rejectionOf(offline.openLid());
+		await simulator.start(offline.port);
+		await offline.getDeviceInfo();
+		expect(events).to.deep.equal([
+			"connected",
+			"error ProtocolError",
+			"error ConnectionError",
+			"error ConnectionError",
+			"disconnected ConnectionError",
+			"connected",
+		]);
+
+		events.length = 0;
+		offline.disconnect();
+		await offline.getDeviceInfo();
+		expect(events).to.deep.equal(["connected"]);
+	});
+
+	it("should read and change the network config", async () => {
+		expect(await client.readNetworkConfig()).to.deep.equal({
+			ssid: "Home",
+			dhcp: true,
+			ip: "192.168.10.25",
+			subnet: "255.255.255.0",
+			gateway: "192.168.10.1",
+		});
+		await client.writeNetworkConfig({
+			dhcp: false,
+			ip: "192.168.10.40",
+			subnet: "255.255.255.0",
+			gateway: "192.168.10.1",
+		});
+		expect(simulator.network).to.include({ ipconf: "1", ip: "192.168.10.40", ssid: "Home" });
+	});
+
+	it("should send the network form to its action", () => {
+		const form = client.parseNetworkForm(
+			'<form method="post"><input type="radio" name="ipconf" value="0" checked>' +
+				'<input type="radio" name="ipconf" value="1"><input name="ssid" value="Home"></form>',
+		);
+		expect(form?.action).to.equal("/");
+		expect(form?.config).to.include({ ssid: "Home", dhcp: true });
+		expect(client.parseNetworkForm("<p>Status: Ready</p>")).to.equal(null);
+	});
+
+	it("should reject an invalid network config", async () => {
+		const error = await rejectionOf(
+			client.writeNetworkConfig({ dhcp: false, ip: "192.168.10.0", subnet: "255.255.255.0" }),
+		);
+		expect(error).to.be.instanceOf(ValidationError).and.include({ code: "EINVAL" });
+		expect(error.errors).to.have.length.above(0);
+		expect(simulator.requests).to.not.include("POST /wifi");
+	});
+
+	it("should change the PIN", async () => {
+		await client.changePin("secret");
+		expect(simulator.pin).to.equal("secret");
+		await new HailoClient("127.0.0.1", client.port, "secret").authenticate();
+	});
+
+	it("should be unreachable while restarting", async () => {
+		await client.restart();
+		expect(await client.testConnection()).to.include({ success: false, code: "ECONNRESET" });
+		await new Promise((resolve) => setTimeout(resolve, 250));
+		expect((await client.testConnection()).success).to.equal(true);
+	});
+});
@@ -0,0 +1,284 @@
+"use strict";
+
+const mqtt = require("mqtt");
+
+/**
+ * An entity of a device in Home Assistant
+ * @typedef {object} EntityDefinition
+ * @property {string} component - Home Assistant component: number, button or sensor
+ * @property {string} state - State below devices.<id>
+ * @property {string} name
+ * @property {Record<string, any>} [config] - Additional discovery config
+ */
+
+// Entities by the key used in their topics
+/** @type {Record<string, EntityDefinition>} */
+const ENTITIES = {
+	open: { component: "button", state: "control.open", name: "Open lid", config: { icon: "mdi:delete-empty" } },
+	restart: {
+		component: "button",
+		state: "control.restart",
+		name: "Restart",
+		config: { device_class: "restart", entity_category: "config" },
+	},
+	led: {
+		component: "number",
+		state: "settings.ledBrightness",
+		name: "LED brightness",
+		config: { icon: "mdi:brightness-6", entity_category: "config" },
+	},
+	pwr: {
+		component: "number",
+		state: "settings.ejectionForce",
+		name: "Ejection force",
+		config: { icon: "mdi:arrow-expand-up", entity_category: "config" },
+	},
+	dist: {
+		component: "number",
+		state: "settings.distance",
+		name: "Sensor distance",
+		config: { icon: "mdi:signal-distance-variant", entity_category: "config" },
+	},
+	status: { component: "sensor", state: "info.status", name: "Status" },
+	firmware: {
+		component: "sensor",
+		state: "info.firmware",
+		name: "Firmware",
+		config: { entity_category: "diagnostic" },
+	},
+	model: { component: "sensor", state: "info.model", name: "Model", config: { entity_category: "diagnostic" } },
+	ssid: { component: "sensor", state: "info.ssid", name: "WiFi network", config: { entity_category: "diagnostic" } },
+	ip: { component: "sensor", state: "info.ip", name: "IP address", config: { entity_category: "diagnostic" } },
+	latency: {
+		component: "sensor",
+		state: "info.latency",
+		name: "Latency",
+		config: { unit_of_measurement: "ms", state_class: "measurement", entity_category: "diagnostic" },
+	},
+};
+
+// Payload of the button entities
+const PRESS = "PRESS";
+
+/**
+ * Options of the bridge
+ * @typedef {object} BridgeOptions
+ * @property {string} url - e.g. mqtt://192.168.1.10:1883
+ * @property {string} [username]
+ * @property {string} [password]
+ * @property {string} [discoveryPrefix] - Discovery prefix of Home Assistant (default: homeassistant)
+ * @property {string} [baseTopic] - Prefix of the state and command topics (default: hailo-libero)
+ */
+
+/**
+ * Device data for the discovery config
+ * @typedef {object} BridgeDevice
+ * @property {string} id - Object id below devices.*
+ * @property {string} name
+ * @property {string} [model]
+ * @property {string} [firmware]
+ * @property {Record<string, {min: number, max: number}>} [ranges] - Limits of the range inputs by name
+ */
+
+/**
+ * Publishes the devices to Home Assistant via MQTT discovery and routes the commands back.
+ * Everything published is kept and sent again after a reconnect to the broker.
+ */
+class HomeAssistantBridge {
+	/**
+	 * @param {BridgeOptions} options
+	 * @param {(deviceId: string, stateName: string, value: any) => void | Promise<void>} onCommand - Called for a command topic
+	 * @param {{debug: Function, info: Function, warn: Function, error: Function} | null} [logger]
+	 */
+	constructor(options, onCommand, logger = null) {
+		this.options = options;
+		this.discoveryPrefix = options.discoveryPrefix || "homeassistant";
+		this.baseTopic = (options.baseTopic || "hailo-libero").replace(/\/+$/, "");
+		this.onCommand = onCommand;
+		this.logger = logger;
+		/** @type {mqtt.MqttClient | null} */
+		this.client = null;
+		// Retained payloads by topic, published again on every connect
+		/** @type {Map<string, string>} */
+		this.retained = new Map();
+	}
+
+	/**
+	 * Log a message if a logger is set
+	 * @param {"debug" | "info" | "warn" | "error"} level
+	 * @param {string} message
+	 */
+	log(level, message) {
+		if (this.logger) {
+			this.logger[level](`[MQTT] ${message}`);
+		}
+	}
+
+	/**
+	 * Topic the bridge marks itself online and offline on, also set as last will
+	 * @returns {string}
+	 */
+	get availabilityTopic() {
+		return `${this.baseTopic}/bridge/availability`;
+	}
+
+	/**
+	 * Connect to the broker. Resolves after the first connect, reconnects are handled by the client.
+	 * @returns {Promise<void>}
+	 */
+	start() {
+		return new Promise((resolve, reject) => {
+			const client = mqtt.connect(this.options.url, {
+				username: this.options.username || undefined,
+				password: this.options.password || undefined,
+				reconnectPeriod: 5000,
+				will: { topic: this.availabilityTopic, payload: Buffer.from("offline"), qos: 1, retain: true },
+			});
+			this.client = client;
+
+			client.on("connect", () => {
+				this.log("info", `Connected to ${this.options.url}`);
+				client.subscribe(`${this.baseTopic}/+/+/set`, { qos: 1 });
+				client.publish(this.availabilityTopic, "online", { qos: 1, retain: true });
+				for (const [topic, payload] of this.retained) {
+					client.publish(topic, payload, { qos: 1, retain: true });
+				}
+				resolve();
+			});
+			client.on("message", (topic, payload) => this.handleMessage(topic, payload.toString()));
+			client.on("error", (error) => {
+				this.log("warn", `Connection to ${this.options.url} failed: ${error.message}`);
+				reject(error);
+			});
+		});
+	}
+
+	/**
+	 * Mark the bridge offline and disconnect
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		const client = this.client;
+		this.client = null;
+		if (!client) {
+			return;
+		}
+		if (client.connected) {
+			await client.publishAsync(this.availabilityTopic, "offline", { qos: 1, retain: true });
+		}
+		await client.endAsync();
+	}
+
+	/**
+	 * Publish a retained message and keep it for reconnects
+	 * @param {string} topic
+	 * @param {string} payload
+	 */
+	publish(topic, payload) {
+		this.retained.set(topic, payload);
+		if (this.client && this.client.connected) {
+			this.client.publish(topic, payload, { qos: 1, retain: true });
+		}
+	}
+
+	/**
+	 * Publish the discovery config of all entities of a device
+	 * @param {BridgeDevice} device
+	 */
+	publishDevice(device) {
+		const deviceTopic = `${this.baseTopic}/${device.id}`;
+		const haDevice = {
+			identifiers: [`hailo_libero_${device.id}`],
+			name: device.name,
+			manufacturer: "Hailo",
+			model: device.model || "Libero",
+			sw_version: device.firmware || undefined,
+		};
+
+		for (const [key, entity] of Object.entries(ENTITIES)) {
+			/** @type {Record<string, any>} */
+			const config = {
+				name: entity.name,
+				unique_id: `hailo_libero_${device.id}_${key}`,
+				object_id: `${device.id}_${key}`,
+				device: haDevice,
+				availability: [{ topic: this.availabilityTopic }, { topic: `${deviceTopic}/availability` }],
+				availability_mode: "all",
+				...entity.config,
+			};
+			if (entity.component === "button") {
+				config.command_topic = `${deviceTopic}/${key}/set`;
+				config.payload_press = PRESS;
+			} else {
+				config.state_topic = `${deviceTopic}/${key}`;
+			}
+			if (entity.component === "number") {
+				const range = device.ranges && device.ranges[key];
+				if (!range) {
+					// Not supported by the firmware of the device
+					continue;
+				}
+				config.command_topic = `${deviceTopic}/${key}/set`;
+				config.min = range.min;
+				config.max = range.max;
+				config.step = 1;
+				config.mode = "slider";
+			}
+			this.publish(
+				`${this.discoveryPrefix}/${entity.component}/hailo_libero_${device.id}/${key}/config`,
+				JSON.stringify(config),
+			);
+		}
+	}
+
+	/**
+	 * Mirror a state of a device. States without an entity are ignored.
+	 * @param {string} deviceId
+	 * @param {string} stateName - State below devices.<id>, e.g. settings.ledBrightness
+	 * @param {ioBroker.StateValue} value
+	 */
+	publishState(deviceId, stateName, value) {
+		if (stateName === "info.connection") {
+			this.publish(`${this.baseTopic}/${deviceId}/availability`, value ? "online" : "offline");
+			return;
+		}
+		const key = Object.keys(ENTITIES).find((name) => ENTITIES[name].state === stateName);
+		if (key && ENTITIES[key].component !== "button" && value !== null && value !== undefined) {
+			this.publish(`${this.baseTopic}/${deviceId}/${key}`, String(value));
+		}
+	}
+
+	/**
+	 * Route a command topic (<baseTopic>/<device>/<entity>/set) to the state it stands for
+	 * @param {string} topic
+	 * @param {string} payload
+	 */
+	async handleMessage(topic, payload) {
+		const parts = topic.slice(this.baseTopic.length + 1).split("/");
+		const entity = ENTITIES[parts[1]];
+		if (parts.length !== 3 || parts[2] !== "set" || !entity || entity.component === "sensor") {
+			return;
+		}
+
+		let value;
+		if (entity.component === "button") {
+			if (payload !== PRESS) {
+				return;
+			}
+			value = true;
+		} else {
+			value = Number(payload);
+			if (payload.trim() === "" || !Number.isFinite(value)) {
+				this.log("warn", `Ignoring ${topic}: ${payload} is not a number`);
+				return;
+			}
+		}
+		try {
+			await this.onCommand(parts[0], entity.state, value);
+		} catch (error) {
+			this.log("error", `Command ${topic} failed: ${error.message}`);
+		}
+	}
+}
+
+module.exports = { HomeAssistantBridge, ENTITIES };
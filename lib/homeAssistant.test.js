@@ -0,0 +1,127 @@
+"use strict";
+
+const net = require("net");
+const { expect } = require("chai");
+const mqtt = require("mqtt");
+const { createBroker } = require("aedes");
+const { HomeAssistantBridge } = require("./homeAssistant");
+
+/**
+ * Wait until a condition is met
+ * @param {() => boolean} condition
+ * @param {number} [timeout]
+ */
+async function waitFor(condition, timeout = 2000) {
+	const deadline = Date.now() + timeout;
+	while (!condition()) {
+		if (Date.now() > deadline) {
+			throw new Error("Condition not met in time");
+		}
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+}
+
+describe("HomeAssistantBridge against a local broker", () => {
+	/** @type {any} */
+	let broker;
+	/** @type {net.Server} */
+	let server;
+	/** @type {string} */
+	let url;
+	/** @type {HomeAssistantBridge} */
+	let bridge;
+	/** @type {{deviceId: string, stateName: string, value: any}[]} */
+	let commands;
+
+	beforeEach(async () => {
+		broker = createBroker();
+		server = net.createServer(broker.handle);
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+		const address = /** @type {net.AddressInfo} */ (server.address());
+		url = `mqtt://127.0.0.1:${address.port}`;
+
+		commands = [];
+		bridge = new HomeAssistantBridge({ url }, (deviceId, stateName, value) => {
+			commands.push({ deviceId, stateName, value });
+		});
+		await bridge.start();
+	});
+
+	afterEach(async () => {
+		await bridge.stop();
+		await new Promise((resolve) => broker.close(resolve));
+		await new Promise((resolve) => server.close(resolve));
+	});
+
+	/**
+	 * Connect a client that receives all retained messages below a topic
+	 * @param {string} filter
+	 * @returns {Promise<{client: mqtt.MqttClient, messages: Map<string, string>}>}
+	 */
+	async function subscribe(filter) {
+		const client = await mqtt.connectAsync(url);
+		/** @type {Map<string, string>} */
+		const messages = new Map();
+		client.on("message", (topic, payload) => messages.set(topic, payload.toString()));
+		await client.subscribeAsync(filter);
+		return { client, messages };
+	}
+
+	it("should publish discovery configs with the ranges of the device", async () => {
+		bridge.publishDevice({
+			id: "kitchen",
+			name: "Kitchen",
+			model: "Libero30_25266A",
+			firmware: "3.0.4",
+			ranges: { led: { min: 1, max: 10 }, dist: { min: 31, max: 100 } },
+		});
+		const { client, messages } = await subscribe("homeassistant/#");
+		await waitFor(() => messages.size >= 9);
+		await client.endAsync();
+
+		const led = JSON.parse(messages.get("homeassistant/number/hailo_libero_kitchen/led/config") || "{}");
+		expect(led).to.include({
+			unique_id: "hailo_libero_kitchen_led",
+			state_topic: "hailo-libero/kitchen/led",
+			command_topic: "hailo-libero/kitchen/led/set",
+			min: 1,
+			max: 10,
+		});
+		expect(led.device).to.include({ model: "Libero30_25266A", sw_version: "3.0.4" });
+		expect(messages.has("homeassistant/button/hailo_libero_kitchen/open/config")).to.equal(true);
+		expect(messages.has("homeassistant/sensor/hailo_libero_kitchen/firmware/config")).to.equal(true);
+		// The firmware has no ejection force input
+		expect(messages.has("homeassistant/number/hailo_libero_kitchen/pwr/config")).to.equal(false);
+	});
+
+	it("should mirror states and the availability", async () => {
+		bridge.publishState("kitchen", "info.connection", true);
+		bridge.publishState("kitchen", "settings.ledBrightness", 5);
+		bridge.publishState("kitchen", "events.openedTotal", 12);
+		const { client, messages } = await subscribe("hailo-libero/#");
+		await waitFor(() => messages.size >= 3);
+		await client.endAsync();
+
+		expect(Object.fromEntries(messages)).to.deep.equal({
+			"hailo-libero/bridge/availability": "online",
+			"hailo-libero/kitchen/availability": "online",
+			"hailo-libero/kitchen/led": "5",
+		});
+	});
+
+	it("should route command topics to the states", async () => {
+		const client = await mqtt.connectAsync(url);
+		// Invalid commands first, the valid ones arrive after them
+		await client.publishAsync("hailo-libero/kitchen/dist/set", "far");
+		await client.publishAsync("hailo-libero/kitchen/firmware/set", "4.0.0");
+		await client.publishAsync("hailo-libero/kitchen/open/set", "PRESS");
+		await client.publishAsync("hailo-libero/kitchen/led/set", "8");
+		await waitFor(() => commands.length >= 2);
+		await client.endAsync();
+
+		expect(commands).to.deep.equal([
+			{ deviceId: "kitchen", stateName: "control.open", value: true },
+			{ deviceId: "kitchen", stateName: "settings.ledBrightness", value: 8 },
+		]);
+	});
+});
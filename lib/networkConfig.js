@@ -0,0 +1,142 @@
+"use strict";
+
+/**
+ * Network configuration of the device in WiFi station mode
+ * @typedef {object} NetworkConfig
+ * @property {string} [ssid] - WiFi network to join
+ * @property {string} [password] - WiFi password, empty for open networks
+ * @property {boolean} [dhcp] - Obtain the address via DHCP instead of the static values below
+ * @property {string} [ip] - Static IP address
+ * @property {string} [subnet] - Static subnet mask
+ * @property {string} [gateway] - Static gateway
+ */
+
+/**
+ * Patterns to find the form field of each network setting by its input name.
+ * The first match wins, the fallback is used if the form does not contain a matching input.
+ * @type {Record<string, {pattern: RegExp, fallback: string}>}
+ */
+const FIELD_PATTERNS = {
+	ssid: { pattern: /ssid/i, fallback: "ssid" },
+	password: { pattern: /pass|pwd|key/i, fallback: "pass" },
+	ip: { pattern: /^(sta_?)?ip(_?addr)?$/i, fallback: "ip" },
+	subnet: { pattern: /mask|subnet|^sn$/i, fallback: "mask" },
+	gateway: { pattern: /gw|gateway/i, fallback: "gw" },
+};
+
+/**
+ * Map the logical network settings to the input names of the device form
+ * @param {string[]} inputNames - Names of all inputs of the network form
+ * @returns {Record<string, string>}
+ */
+function resolveFieldNames(inputNames) {
+	/** @type {Record<string, string>} */
+	const fields = {};
+	for (const [key, { pattern, fallback }] of Object.entries(FIELD_PATTERNS)) {
+		fields[key] = inputNames.find((name) => name !== "ipconf" && pattern.test(name)) || fallback;
+	}
+	return fields;
+}
+
+/**
+ * Convert a dotted IPv4 address to a number
+ * @param {string} ip
+ * @returns {number | null} - null if the address is not valid
+ */
+function ipToInt(ip) {
+	if (typeof ip !== "string" || !/^\d{1,3}(\.\d{1,3}){3}$/.test(ip.trim())) {
+		return null;
+	}
+	const parts = ip.trim().split(".").map(Number);
+	if (parts.some((part) => part > 255)) {
+		return null;
+	}
+	return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+/**
+ * Check whether a value is a contiguous IPv4 subnet mask
+ * @param {string} mask
+ * @returns {boolean}
+ */
+function isValidSubnetMask(mask) {
+	const value = ipToInt(mask);
+	if (value === null || value === 0) {
+		return false;
+	}
+	// All ones must be followed only by zeros
+	const inverted = ~value >>> 0;
+	return (inverted & (inverted + 1)) === 0;
+}
+
+/**
+ * Validate a network configuration before it is sent to the device
+ * @param {NetworkConfig} config
+ * @returns {string[]} - Human readable errors, empty if the configuration is valid
+ */
+function validateNetworkConfig(config) {
+	const errors = [];
+
+	if (config.ssid !== undefined) {
+		if (typeof config.ssid !== "string" || config.ssid.length < 1 || config.ssid.length > 32) {
+			errors.push("SSID must be 1-32 characters long");
+		}
+	}
+	if (config.password !== undefined && config.password !== "") {
+		if (typeof config.password !== "string" || config.password.length < 8 || config.password.length > 63) {
+			errors.push("WiFi password must be 8-63 characters long or empty for open networks");
+		}
+	}
+
+	if (config.dhcp === false) {
+		const ip = ipToInt(config.ip || "");
+		const subnetValid = isValidSubnetMask(config.subnet || "");
+		const mask = subnetValid ? ipToInt(config.subnet || "") : null;
+		const gateway = config.gateway ? ipToInt(config.gateway) : null;
+
+		if (ip === null) {
+			errors.push(`Invalid IP address: ${config.ip}`);
+		}
+		if (!subnetValid) {
+			errors.push(`Invalid subnet mask: ${config.subnet}`);
+		}
+		if (config.gateway && gateway === null) {
+			errors.push(`Invalid gateway: ${config.gateway}`);
+		}
+		if (ip !== null && mask !== null) {
+			const host = (ip & ~mask) >>> 0;
+			if (host === 0 || host === ~mask >>> 0) {
+				errors.push(`${config.ip} is the network or broadcast address of its subnet`);
+			}
+			if (gateway !== null && (ip & mask) !== (gateway & mask)) {
+				errors.push(`Gateway ${config.gateway} is not in the subnet of ${config.ip}`);
+			}
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Apply changes to a network configuration. Settings that are undefined in the changes are kept.
+ * @param {NetworkConfig} current
+ * @param {NetworkConfig} changes
+ * @returns {NetworkConfig}
+ */
+function mergeNetworkConfig(current, changes) {
+	const merged = { ...current };
+	for (const [key, value] of Object.entries(changes)) {
+		if (value !== undefined) {
+			merged[key] = value;
+		}
+	}
+	return merged;
+}
+
+module.exports = {
+	resolveFieldNames,
+	mergeNetworkConfig,
+	ipToInt,
+	isValidSubnetMask,
+	validateNetworkConfig,
+};
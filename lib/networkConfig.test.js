@@ -0,0 +1,95 @@
+"use strict";
+
+const { expect } = require("chai");
+const {
+	ipToInt,
+	isValidSubnetMask,
+	mergeNetworkConfig,
+	resolveFieldNames,
+	validateNetworkConfig,
+} = require("./networkConfig");
+
+const staticConfig = {
+	ssid: "Home",
+	dhcp: false,
+	ip: "192.168.10.40",
+	subnet: "255.255.255.0",
+	gateway: "192.168.10.1",
+};
+
+describe("networkConfig => ipToInt and isValidSubnetMask", () => {
+	it("should parse dotted IPv4 addresses", () => {
+		expect(ipToInt("192.168.10.1")).to.equal(0xc0a80a01);
+		expect(ipToInt(" 10.0.0.1 ")).to.equal(0x0a000001);
+		expect(ipToInt("192.168.10.256")).to.equal(null);
+		expect(ipToInt("192.168.10")).to.equal(null);
+		expect(ipToInt("")).to.equal(null);
+	});
+
+	it("should only accept contiguous subnet masks", () => {
+		expect(isValidSubnetMask("255.255.255.0")).to.equal(true);
+		expect(isValidSubnetMask("255.255.252.0")).to.equal(true);
+		expect(isValidSubnetMask("255.255.255.255")).to.equal(true);
+		expect(isValidSubnetMask("255.0.255.0")).to.equal(false);
+		expect(isValidSubnetMask("0.0.0.0")).to.equal(false);
+	});
+});
+
+describe("networkConfig => validateNetworkConfig", () => {
+	it("should accept a valid static and a DHCP config", () => {
+		expect(validateNetworkConfig(staticConfig)).to.deep.equal([]);
+		expect(validateNetworkConfig({ ssid: "Home", password: "", dhcp: true, ip: "" })).to.deep.equal([]);
+	});
+
+	it("should check the SSID and the WiFi password", () => {
+		expect(validateNetworkConfig({ ssid: "", password: "short" })).to.deep.equal([
+			"SSID must be 1-32 characters long",
+			"WiFi password must be 8-63 characters long or empty for open networks",
+		]);
+		expect(validateNetworkConfig({ ssid: "x".repeat(33) })).to.have.length(1);
+	});
+
+	it("should check the static address only without DHCP", () => {
+		expect(validateNetworkConfig({ ...staticConfig, dhcp: true, ip: "invalid" })).to.deep.equal([]);
+		expect(
+			validateNetworkConfig({ ...staticConfig, ip: "invalid", subnet: "255.0.255.0", gateway: "x" }),
+		).to.deep.equal(["Invalid IP address: invalid", "Invalid subnet mask: 255.0.255.0", "Invalid gateway: x"]);
+	});
+
+	it("should reject network and broadcast addresses and a gateway outside the subnet", () => {
+		expect(validateNetworkConfig({ ...staticConfig, ip: "192.168.10.0" })).to.deep.equal([
+			"192.168.10.0 is the network or broadcast address of its subnet",
+		]);
+		expect(validateNetworkConfig({ ...staticConfig, ip: "192.168.10.255" })).to.have.length(1);
+		expect(validateNetworkConfig({ ...staticConfig, gateway: "192.168.11.1" })).to.deep.equal([
+			"Gateway 192.168.11.1 is not in the subnet of 192.168.10.40",
+		]);
+		expect(validateNetworkConfig({ ...staticConfig, gateway: "" })).to.deep.equal([]);
+	});
+});
+
+describe("networkConfig => mergeNetworkConfig and resolveFieldNames", () => {
+	it("should keep values that are not changed", () => {
+		expect(mergeNetworkConfig(staticConfig, { dhcp: true, ip: undefined })).to.deep.equal({
+			...staticConfig,
+			dhcp: true,
+		});
+	});
+
+	it("should find the inputs of the network form by their names", () => {
+		expect(resolveFieldNames(["ipconf", "sta_ssid", "sta_pwd", "sta_ip", "sta_mask", "sta_gw"])).to.deep.equal({
+			ssid: "sta_ssid",
+			password: "sta_pwd",
+			ip: "sta_ip",
+			subnet: "sta_mask",
+			gateway: "sta_gw",
+		});
+		expect(resolveFieldNames(["ipconf"])).to.deep.equal({
+			ssid: "ssid",
+			password: "pass",
+			ip: "ip",
+			subnet: "mask",
+			gateway: "gw",
+		});
+	});
+});
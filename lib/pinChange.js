@@ -0,0 +1,143 @@
+"use strict";
+
+const HailoClient = require("./hailoClient");
+const { EAUTH, EINVAL } = require("./diagnostics");
+
+/**
+ * Result of a PIN change, in the format of the message responses
+ * @typedef {object} PinChangeResult
+ * @property {boolean} success
+ * @property {string} [error]
+ * @property {string | null} [code]
+ * @property {"old" | "new" | "unknown"} pin - PIN the device uses afterwards
+ */
+
+/**
+ * Check a new PIN before it is sent to the device
+ * @param {any} newPin
+ * @param {string} oldPin
+ * @returns {string | null} - Error text, null if the PIN is valid
+ */
+function validatePin(newPin, oldPin) {
+	if (typeof newPin !== "string" || !/^\S{4,32}$/.test(newPin)) {
+		return "The PIN must be 4-32 characters long and must not contain spaces";
+	}
+	if (newPin === oldPin) {
+		return "The new PIN is the same as the current one";
+	}
+	return null;
+}
+
+/**
+ * Whether the device accepts a PIN. The device may need a moment to apply a new PIN, so the login is repeated.
+ * @param {HailoClient} client - Client of the device, its PIN is not used
+ * @param {string} pin
+ * @param {{attempts?: number, retryDelay?: number}} [options]
+ * @returns {Promise<boolean>}
+ */
+async function acceptsPin(client, pin, options = {}) {
+	const { attempts = 3, retryDelay = 2000 } = options;
+	const probe = new HailoClient(client.ip, client.port, pin, client.logger);
+	for (let attempt = 1; attempt <= attempts; attempt++) {
+		if (
+			await probe.authenticate().then(
+				() => probe.checkAuth(),
+				() => false,
+			)
+		) {
+			return true;
+		}
+		if (attempt < attempts) {
+			await new Promise((resolve) => setTimeout(resolve, retryDelay));
+		}
+	}
+	return false;
+}
+
+/**
+ * Change the PIN of a device, verify it by logging in with the new PIN and only then store it.
+ * If the new PIN cannot be verified or stored, the device is set back to the old PIN.
+ * The client is switched to the new PIN only on success.
+ * @param {HailoClient} client
+ * @param {string} newPin
+ * @param {(pin: string) => Promise<boolean>} store - Saves the verified PIN, e.g. in the instance config
+ * @param {{attempts?: number, retryDelay?: number}} [options] - Logins to verify a PIN
+ * @returns {Promise<PinChangeResult>}
+ */
+async function changePinVerified(client, newPin, store, options = {}) {
+	const oldPin = client.password;
+	const invalid = validatePin(newPin, oldPin);
+	if (invalid) {
+		return { success: false, error: invalid, code: EINVAL, pin: "old" };
+	}
+
+	try {
+		await client.changePin(newPin);
+	} catch (error) {
+		return {
+			success: false,
+			error: `The device did not accept the new PIN: ${error.message}`,
+			code: error.code || null,
+			pin: "old",
+		};
+	}
+
+	if (!(await acceptsPin(client, newPin, options))) {
+		if (await acceptsPin(client, oldPin, { ...options, attempts: 1 })) {
+			return {
+				success: false,
+				error: "The new PIN could not be verified, the device still uses the old PIN",
+				code: EAUTH,
+				pin: "old",
+			};
+		}
+		return {
+			success: false,
+			error: "The new PIN could not be verified and the old PIN is rejected too. Please check the device.",
+			code: EAUTH,
+			pin: "unknown",
+		};
+	}
+
+	const stored = await store(newPin).catch(() => false);
+	if (!stored) {
+		return rollBack(client, newPin, oldPin, options);
+	}
+
+	client.password = newPin;
+	return { success: true, pin: "new" };
+}
+
+/**
+ * Set the device back to the old PIN after the new one could not be stored
+ * @param {HailoClient} client
+ * @param {string} newPin
+ * @param {string} oldPin
+ * @param {{attempts?: number, retryDelay?: number}} options
+ * @returns {Promise<PinChangeResult>}
+ */
+async function rollBack(client, newPin, oldPin, options) {
+	const verified = new HailoClient(client.ip, client.port, newPin, client.logger);
+	const changedBack = await verified.changePin(oldPin).then(
+		() => true,
+		() => false,
+	);
+	if (changedBack && (await acceptsPin(client, oldPin, options))) {
+		return {
+			success: false,
+			error: "The new PIN could not be stored, the device was reset to the old PIN",
+			code: null,
+			pin: "old",
+		};
+	}
+	// The device only accepts the new PIN now, keep using it until the config is fixed
+	client.password = newPin;
+	return {
+		success: false,
+		error: "The new PIN could not be stored and the rollback failed. The device now uses the new PIN.",
+		code: EAUTH,
+		pin: "new",
+	};
+}
+
+module.exports = { validatePin, acceptsPin, changePinVerified };
@@ -0,0 +1,98 @@
+"use strict";
+
+const { expect } = require("chai");
+const HailoClient = require("./hailoClient");
+const LiberoSimulator = require("./simulator");
+const { changePinVerified, validatePin } = require("./pinChange");
+
+const options = { attempts: 2, retryDelay: 10 };
+
+describe("pinChange => validatePin", () => {
+	it("should reject short, blank and unchanged PINs", () => {
+		expect(validatePin("secret", "hailo")).to.equal(null);
+		expect(validatePin("abc", "hailo")).to.match(/4-32 characters/);
+		expect(validatePin("my pin", "hailo")).to.match(/spaces/);
+		expect(validatePin(1234, "hailo")).to.match(/4-32 characters/);
+		expect(validatePin("hailo", "hailo")).to.match(/same as the current one/);
+	});
+});
+
+describe("pinChange => changePinVerified against the Libero simulator", () => {
+	/** @type {LiberoSimulator} */
+	let simulator;
+	/** @type {HailoClient} */
+	let client;
+	/** @type {string[]} */
+	let stored;
+
+	beforeEach(async () => {
+		simulator = new LiberoSimulator();
+		const port = await simulator.start();
+		client = new HailoClient("127.0.0.1", port, "hailo");
+		stored = [];
+	});
+
+	afterEach(() => simulator.stop());
+
+	/**
+	 * @param {string} pin
+	 * @returns {Promise<boolean>}
+	 */
+	const store = async (pin) => {
+		stored.push(pin);
+		return true;
+	};
+
+	it("should store the new PIN only after it was verified", async () => {
+		const result = await changePinVerified(client, "secret", store, options);
+		expect(result).to.deep.equal({ success: true, pin: "new" });
+		expect(simulator.pin).to.equal("secret");
+		expect(stored).to.deep.equal(["secret"]);
+		expect(client.password).to.equal("secret");
+		await client.authenticate();
+	});
+
+	it("should not store a PIN the device does not accept", async () => {
+		simulator.ignorePinChange = true;
+		const result = await changePinVerified(client, "secret", store, options);
+		expect(result).to.include({ success: false, code: "EAUTH", pin: "old" });
+		expect(stored).to.deep.equal([]);
+		expect(client.password).to.equal("hailo");
+	});
+
+	it("should report a device that accepts neither PIN", async () => {
+		simulator.ignorePinChange = true;
+		const changePin = client.changePin.bind(client);
+		client.changePin = async (pin) => {
+			await changePin(pin);
+			simulator.wrongPin = true;
+		};
+		const result = await changePinVerified(client, "secret", store, options);
+		expect(result).to.include({ success: false, code: "EAUTH", pin: "unknown" });
+		expect(stored).to.deep.equal([]);
+	});
+
+	it("should reset the device to the old PIN if the new one cannot be stored", async () => {
+		const result = await changePinVerified(client, "secret", async () => false, options);
+		expect(result).to.include({ success: false, pin: "old" });
+		expect(result.error).to.match(/reset to the old PIN/);
+		expect(simulator.pin).to.equal("hailo");
+		expect(client.password).to.equal("hailo");
+
+		const failed = await changePinVerified(
+			client,
+			"secret",
+			() => Promise.reject(new Error("The config cannot be written")),
+			options,
+		);
+		expect(failed).to.include({ success: false, pin: "old" });
+	});
+
+	it("should not send anything without a PIN form on the homepage", async () => {
+		client.parsePinForm = () => null;
+		const result = await changePinVerified(client, "secret", store, options);
+		expect(result).to.include({ success: false, code: "EPARSE", pin: "old" });
+		expect(simulator.requests).to.not.include("POST /pin");
+		expect(simulator.pin).to.equal("hailo");
+	});
+});
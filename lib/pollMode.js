@@ -0,0 +1,88 @@
+"use strict";
+
+const { parseTime } = require("./schedule");
+
+/**
+ * Poll modes shown in info.pollMode
+ */
+const PollMode = {
+	FAST: "fast",
+	NORMAL: "normal",
+	IDLE: "idle",
+	NIGHT: "night",
+	OFFLINE: "offline",
+};
+
+/** Without commands or changes for this long, the device is polled at the idle interval */
+const IDLE_AFTER = 30 * 60 * 1000;
+
+/**
+ * Poll timing in milliseconds
+ * @typedef {object} PollConfig
+ * @property {number} interval - Normal interval
+ * @property {number} fastInterval - Interval after commands and detected changes
+ * @property {number} fastDuration - How long the fast interval is used
+ * @property {number} idleInterval - Interval when idle and at night
+ * @property {string} [nightStart] - "HH:MM", empty for no night mode
+ * @property {string} [nightEnd] - "HH:MM"
+ */
+
+/**
+ * Whether a time is inside the night window. The window may span midnight, e.g. 22:00-06:00.
+ * @param {Date} date
+ * @param {string | undefined} start - "HH:MM"
+ * @param {string | undefined} end - "HH:MM"
+ * @returns {boolean}
+ */
+function isNight(date, start, end) {
+	const from = parseTime(start);
+	const to = parseTime(end);
+	if (from === null || to === null || from === to) {
+		return false;
+	}
+	const minutes = date.getHours() * 60 + date.getMinutes();
+	return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * Poll mode of a device. Fast polling after activity wins over the night window.
+ * @param {boolean} connected
+ * @param {number} lastActivity - Timestamp of the last command or detected change, 0 if none
+ * @param {PollConfig} config
+ * @param {number} now
+ * @returns {string} - One of PollMode
+ */
+function selectPollMode(connected, lastActivity, config, now) {
+	if (!connected) {
+		return PollMode.OFFLINE;
+	}
+	if (now - lastActivity < config.fastDuration) {
+		return PollMode.FAST;
+	}
+	if (isNight(new Date(now), config.nightStart, config.nightEnd)) {
+		return PollMode.NIGHT;
+	}
+	return now - lastActivity >= IDLE_AFTER ? PollMode.IDLE : PollMode.NORMAL;
+}
+
+/**
+ * Delay until the next status poll. Offline devices are not polled, the reconnect backoff applies instead.
+ * @param {string} mode - One of PollMode
+ * @param {PollConfig} config
+ * @returns {number | null} - Milliseconds, null for no poll
+ */
+function pollDelay(mode, config) {
+	switch (mode) {
+		case PollMode.FAST:
+			return Math.min(config.fastInterval, config.interval);
+		case PollMode.IDLE:
+		case PollMode.NIGHT:
+			return Math.max(config.idleInterval, config.interval);
+		case PollMode.OFFLINE:
+			return null;
+		default:
+			return config.interval;
+	}
+}
+
+module.exports = { PollMode, IDLE_AFTER, isNight, selectPollMode, pollDelay };
@@ -0,0 +1,57 @@
+"use strict";
+
+const { expect } = require("chai");
+const { PollMode, IDLE_AFTER, isNight, pollDelay, selectPollMode } = require("./pollMode");
+
+const config = {
+	interval: 30000,
+	fastInterval: 5000,
+	fastDuration: 60000,
+	idleInterval: 300000,
+	nightStart: "22:00",
+	nightEnd: "06:00",
+};
+
+describe("pollMode => isNight", () => {
+	it("should handle windows across midnight", () => {
+		expect(isNight(new Date(2024, 5, 19, 23, 30), "22:00", "06:00")).to.equal(true);
+		expect(isNight(new Date(2024, 5, 19, 5, 59), "22:00", "06:00")).to.equal(true);
+		expect(isNight(new Date(2024, 5, 19, 6, 0), "22:00", "06:00")).to.equal(false);
+		expect(isNight(new Date(2024, 5, 19, 13, 0), "12:00", "14:00")).to.equal(true);
+	});
+
+	it("should be off without a valid window", () => {
+		expect(isNight(new Date(2024, 5, 19, 23, 30), "", "06:00")).to.equal(false);
+		expect(isNight(new Date(2024, 5, 19, 23, 30), "22:00", "22:00")).to.equal(false);
+	});
+});
+
+describe("pollMode => selectPollMode and pollDelay", () => {
+	const noon = new Date(2024, 5, 19, 12, 0).getTime();
+	const midnight = new Date(2024, 5, 20, 0, 0).getTime();
+
+	it("should poll fast after activity, even at night", () => {
+		expect(selectPollMode(true, noon - 10000, config, noon)).to.equal(PollMode.FAST);
+		expect(selectPollMode(true, midnight - 10000, config, midnight)).to.equal(PollMode.FAST);
+		expect(pollDelay(PollMode.FAST, config)).to.equal(5000);
+	});
+
+	it("should slow down when idle and at night", () => {
+		expect(selectPollMode(true, noon - 120000, config, noon)).to.equal(PollMode.NORMAL);
+		expect(selectPollMode(true, noon - IDLE_AFTER, config, noon)).to.equal(PollMode.IDLE);
+		expect(selectPollMode(true, midnight - 120000, config, midnight)).to.equal(PollMode.NIGHT);
+		expect(pollDelay(PollMode.NORMAL, config)).to.equal(30000);
+		expect(pollDelay(PollMode.NIGHT, config)).to.equal(300000);
+	});
+
+	it("should never poll faster or slower than the normal interval in the wrong mode", () => {
+		const slow = { ...config, interval: 600000 };
+		expect(pollDelay(PollMode.FAST, { ...config, fastInterval: 60000 })).to.equal(30000);
+		expect(pollDelay(PollMode.IDLE, slow)).to.equal(600000);
+	});
+
+	it("should not poll offline devices", () => {
+		expect(selectPollMode(false, noon, config, noon)).to.equal(PollMode.OFFLINE);
+		expect(pollDelay(PollMode.OFFLINE, config)).to.equal(null);
+	});
+});
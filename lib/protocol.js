@@ -0,0 +1,174 @@
+"use strict";
+
+/*
+ * Firmware specific details of the device web interface.
+ * A new firmware that moves endpoints or renames inputs gets its own entry in PROTOCOLS.
+ */
+
+/**
+ * @typedef {object} Protocol
+ * @property {string} name
+ * @property {RegExp} firmware - Firmware versions this protocol is meant for
+ * @property {string[]} tested - Firmware versions the protocol was verified with
+ * @property {{login: string, home: string, push: string, settings: string, restart: string}} paths
+ * @property {{pin: string}} fields - Names of the login form fields
+ * @property {Record<string, string>} settingFields - Range input names by the names used in the adapter (led, pwr, dist)
+ * @property {Record<string, string>} infoSpans - Span ids of the system info block by info key
+ */
+
+/**
+ * Compatibility of a firmware version, published in info.compatibility
+ */
+const Compatibility = {
+	SUPPORTED: "supported",
+	UNTESTED: "untested",
+	UNSUPPORTED: "unsupported",
+};
+
+/** @type {Protocol[]} */
+const PROTOCOLS = [
+	{
+		name: "libero-3",
+		firmware: /^3\./,
+		tested: ["3.0.4"],
+		paths: {
+			login: "/login",
+			home: "/",
+			push: "/push",
+			settings: "/settings",
+			restart: "/restart",
+		},
+		fields: { pin: "pin" },
+		settingFields: { led: "led", pwr: "pwr", dist: "dist" },
+		infoSpans: {
+			device: "t5", // Gerät: Libero30_25266A
+			firmware: "t6", // SW Version: 3.0.4
+			status: "t7", // Status: Ready
+			ssid: "t8", // STA-SSID: Eriks-Home
+			dhcp_ip: "t9", // STA-IP: 192.168.10.25
+			dhcp_subnet: "t10", // STA-Subnet Mask: 255.255.255.0
+		},
+	},
+];
+
+/** Used until the firmware is known */
+const DEFAULT_PROTOCOL = PROTOCOLS[0];
+
+/**
+ * Labels of the system info lines, for firmware that does not use the known span ids.
+ * The subnet is checked before the IP address.
+ * @type {[string, RegExp][]}
+ */
+const INFO_LABELS = [
+	["device", /^(gerät|device|model)$/i],
+	["firmware", /(sw|firmware).*version|^firmware$|^version$/i],
+	["status", /^status$/i],
+	["ssid", /ssid/i],
+	["dhcp_subnet", /subnet|netmask/i],
+	["dhcp_ip", /\bip\b/i],
+];
+
+/**
+ * Patterns of the inputs of a form that changes the PIN, by role. The input names differ between firmware
+ * versions, so the form is recognized by the names of its inputs. The confirmation is checked first,
+ * e.g. new_pin_confirm is a confirmation and not the new PIN.
+ * @type {Record<string, RegExp>}
+ */
+const PIN_INPUTS = {
+	confirm: /pin.*(confirm|repeat|again|2$)|(confirm|repeat).*pin/i,
+	oldPin: /(old|alt|cur).*pin|pin.*(old|alt|cur)/i,
+	newPin: /(new|neu).*pin|pin.*(new|neu)/i,
+};
+
+/**
+ * Map the inputs of a form to the roles of a PIN change
+ * @param {string[]} inputNames - Names of all inputs of the form
+ * @returns {{newPin: string, oldPin?: string, confirm?: string} | null} - null if the form has no input for a new PIN
+ */
+function resolvePinFields(inputNames) {
+	/** @type {Record<string, string>} */
+	const fields = {};
+	for (const name of inputNames) {
+		const role = Object.keys(PIN_INPUTS).find((key) => !(key in fields) && PIN_INPUTS[key].test(name));
+		if (role) {
+			fields[role] = name;
+		}
+	}
+	return fields.newPin ? { newPin: fields.newPin, oldPin: fields.oldPin, confirm: fields.confirm } : null;
+}
+
+/**
+ * Select the protocol for a firmware version
+ * @param {string | null | undefined} firmware
+ * @returns {{protocol: Protocol, compatibility: string}}
+ */
+function selectProtocol(firmware) {
+	const version = (firmware || "").trim();
+	for (const protocol of PROTOCOLS) {
+		if (protocol.tested.includes(version)) {
+			return { protocol, compatibility: Compatibility.SUPPORTED };
+		}
+	}
+	const protocol = PROTOCOLS.find((candidate) => candidate.firmware.test(version));
+	if (protocol) {
+		return { protocol, compatibility: Compatibility.UNTESTED };
+	}
+	return { protocol: DEFAULT_PROTOCOL, compatibility: Compatibility.UNSUPPORTED };
+}
+
+/**
+ * Read the system info block by the span ids of the protocol
+ * @param {import("cheerio").CheerioAPI} $
+ * @param {Protocol} protocol
+ * @returns {Record<string, string | null>}
+ */
+function parseInfoBySpans($, protocol) {
+	/** @type {Record<string, string | null>} */
+	const info = {};
+	if ($(`span#${protocol.infoSpans.device}`).parent("p").length === 0) {
+		return info;
+	}
+
+	for (const [key, spanId] of Object.entries(protocol.infoSpans)) {
+		const span = $(`span#${spanId}`);
+		// Text directly after the span up to the next element
+		const nextNode = span.length ? span[0].nextSibling : null;
+		info[key] = nextNode && nextNode.type === "text" ? nextNode.data.replace(/^:\s*/, "").trim() : null;
+	}
+	return info;
+}
+
+/**
+ * Read the system info from "Label: value" lines anywhere on the page
+ * @param {import("cheerio").CheerioAPI} $
+ * @returns {Record<string, string | null>}
+ */
+function parseInfoHeuristic($) {
+	/** @type {Record<string, string | null>} */
+	const info = {};
+	const body = $("body").clone();
+	body.find("br").replaceWith("\n");
+	body.find("p, div, tr, li").append("\n");
+
+	for (const line of body.text().split("\n")) {
+		const match = /^\s*([^:]{1,40}?)\s*:\s*(\S.*?)\s*$/.exec(line);
+		if (!match) {
+			continue;
+		}
+		const entry = INFO_LABELS.find(([key, pattern]) => !(key in info) && pattern.test(match[1]));
+		if (entry) {
+			info[entry[0]] = match[2];
+		}
+	}
+	return info;
+}
+
+module.exports = {
+	Compatibility,
+	PROTOCOLS,
+	DEFAULT_PROTOCOL,
+	selectProtocol,
+	parseInfoBySpans,
+	parseInfoHeuristic,
+	resolvePinFields,
+};
@@ -0,0 +1,53 @@
+"use strict";
+
+const { expect } = require("chai");
+const cheerio = require("cheerio");
+const { parseInfoHeuristic, resolvePinFields, selectProtocol } = require("./protocol");
+
+describe("protocol => selectProtocol", () => {
+	it("should rate the firmware version", () => {
+		expect(selectProtocol("3.0.4").compatibility).to.equal("supported");
+		expect(selectProtocol("3.1.0")).to.include({ compatibility: "untested" });
+		expect(selectProtocol("3.1.0").protocol.name).to.equal("libero-3");
+		expect(selectProtocol("4.0.0").compatibility).to.equal("unsupported");
+		expect(selectProtocol(null).compatibility).to.equal("unsupported");
+	});
+});
+
+describe("protocol => parseInfoHeuristic", () => {
+	it("should read the system info without the known span ids", () => {
+		const $ = cheerio.load(`<html><body>
+<table>
+<tr><td>Device: Libero30_25266A</td></tr>
+<tr><td>Firmware Version: 3.1.0</td></tr>
+<tr><td>Status: Ready</td></tr>
+</table>
+<div>STA-SSID: Home<br>STA-IP: 192.168.10.25<br>STA-Subnet Mask: 255.255.255.0</div>
+</body></html>`);
+		expect(parseInfoHeuristic($)).to.deep.equal({
+			device: "Libero30_25266A",
+			firmware: "3.1.0",
+			status: "Ready",
+			ssid: "Home",
+			dhcp_ip: "192.168.10.25",
+			dhcp_subnet: "255.255.255.0",
+		});
+	});
+});
+
+describe("protocol => resolvePinFields", () => {
+	it("should recognize the inputs of a PIN form by their names", () => {
+		expect(resolvePinFields(["old_pin", "new_pin"])).to.deep.equal({
+			newPin: "new_pin",
+			oldPin: "old_pin",
+			confirm: undefined,
+		});
+		expect(resolvePinFields(["pinAlt", "pinNeu", "new_pin_confirm"])).to.deep.equal({
+			newPin: "pinNeu",
+			oldPin: "pinAlt",
+			confirm: "new_pin_confirm",
+		});
+		expect(resolvePinFields(["pin", "submit"])).to.equal(null);
+		expect(resolvePinFields(["ssid", "pass", "ipconf"])).to.equal(null);
+	});
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+/**
+ * Runs asynchronous tasks one after another.
+ * The device is ESP-based and does not cope well with parallel connections.
+ */
+class RequestQueue {
+	constructor() {
+		/** @type {Promise<unknown>} */
+		this.tail = Promise.resolve();
+		/** Number of tasks waiting or running */
+		this.pending = 0;
+	}
+
+	/**
+	 * Queue a task. It starts when all previously queued tasks have settled.
+	 * @template T
+	 * @param {() => Promise<T>} task
+	 * @returns {Promise<T>}
+	 */
+	run(task) {
+		this.pending++;
+		const result = this.tail.then(task).finally(() => {
+			this.pending--;
+		});
+		// A failed task must not stop the queue
+		this.tail = result.catch(() => {});
+		return result;
+	}
+}
+
+/** @type {Map<string, RequestQueue>} */
+const queues = new Map();
+
+/**
+ * Get the shared queue of a device, so that all clients talking to the same device are serialised
+ * @param {string} key - Base URL of the device
+ * @returns {RequestQueue}
+ */
+function getQueue(key) {
+	let queue = queues.get(key);
+	if (!queue) {
+		queue = new RequestQueue();
+		queues.set(key, queue);
+	}
+	return queue;
+}
+
+/**
+ * Forget the queue of a host that is no longer talked to, e.g. a host of a network scan that is not a device
+ * @param {string} key - Base URL of the device
+ * @returns {boolean} - Whether an idle queue was removed
+ */
+function releaseQueue(key) {
+	const queue = queues.get(key);
+	if (!queue || queue.pending > 0) {
+		return false;
+	}
+	return queues.delete(key);
+}
+
+module.exports = { RequestQueue, getQueue, releaseQueue };
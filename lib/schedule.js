@@ -0,0 +1,215 @@
+"use strict";
+
+/**
+ * A named set of settings. Values that are not set are left unchanged.
+ * @typedef {object} Profile
+ * @property {string} name
+ * @property {number} [led]
+ * @property {number} [pwr]
+ * @property {number} [dist]
+ */
+
+/**
+ * A row of the schedule table
+ * @typedef {object} ScheduleRule
+ * @property {boolean} [enabled]
+ * @property {string} profile - Name of the profile to switch to
+ * @property {string} [days] - daily, weekdays, weekend or mon...sun (default: daily)
+ * @property {string} [trigger] - time, sunrise or sunset (default: time)
+ * @property {string} [time] - "HH:MM" for the trigger time
+ * @property {number} [offset] - Minutes added to sunrise or sunset, may be negative
+ */
+
+/**
+ * @typedef {object} Location
+ * @property {number} latitude
+ * @property {number} longitude
+ */
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY = 24 * 60 * 60 * 1000;
+// Sun center 50 arc minutes below the horizon, like the usual sunrise tables
+const SUN_ZENITH = 90.833;
+
+/**
+ * Parse "HH:MM"
+ * @param {string | undefined} time
+ * @returns {number | null} - Minutes after midnight
+ */
+function parseTime(time) {
+	const match = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(time || "");
+	if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+		return null;
+	}
+	return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Whether a rule applies on the weekday of a date
+ * @param {string | undefined} days
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDays(days, date) {
+	const weekday = date.getDay();
+	switch (days || "daily") {
+		case "daily":
+			return true;
+		case "weekdays":
+			return weekday >= 1 && weekday <= 5;
+		case "weekend":
+			return weekday === 0 || weekday === 6;
+		default:
+			return WEEKDAYS[weekday] === days;
+	}
+}
+
+/**
+ * Sunrise and sunset of a calendar day (NOAA approximation, accurate to a few minutes)
+ * @param {Date} date - Any time of the local day
+ * @param {Location} location
+ * @returns {{sunrise: number, sunset: number} | null} - Timestamps, null during polar day or night
+ */
+function sunTimes(date, location) {
+	const rad = Math.PI / 180;
+	const midnightUtc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+	const dayOfYear = Math.round((midnightUtc - Date.UTC(date.getFullYear(), 0, 1)) / DAY) + 1;
+
+	// Fractional year in radians at noon
+	const gamma = ((2 * Math.PI) / 365) * (dayOfYear - 1);
+	const eqTime =
+		229.18 *
+		(0.000075 +
+			0.001868 * Math.cos(gamma) -
+			0.032077 * Math.sin(gamma) -
+			0.014615 * Math.cos(2 * gamma) -
+			0.040849 * Math.sin(2 * gamma));
+	const declination =
+		0.006918 -
+		0.399912 * Math.cos(gamma) +
+		0.070257 * Math.sin(gamma) -
+		0.006758 * Math.cos(2 * gamma) +
+		0.000907 * Math.sin(2 * gamma) -
+		0.002697 * Math.cos(3 * gamma) +
+		0.00148 * Math.sin(3 * gamma);
+
+	const latitude = location.latitude * rad;
+	const cosHourAngle =
+		Math.cos(SUN_ZENITH * rad) / (Math.cos(latitude) * Math.cos(declination)) -
+		Math.tan(latitude) * Math.tan(declination);
+	if (cosHourAngle > 1 || cosHourAngle < -1) {
+		return null;
+	}
+	const hourAngle = Math.acos(cosHourAngle) / rad;
+
+	// Minutes after midnight UTC
+	const sunrise = 720 - 4 * (location.longitude + hourAngle) - eqTime;
+	const sunset = 720 - 4 * (location.longitude - hourAngle) - eqTime;
+	return {
+		sunrise: midnightUtc + Math.round(sunrise * 60000),
+		sunset: midnightUtc + Math.round(sunset * 60000),
+	};
+}
+
+/**
+ * Time a rule fires on a day
+ * @param {ScheduleRule} rule
+ * @param {Date} day - Local midnight
+ * @param {Location | null} location - Needed for sunrise and sunset
+ * @returns {number | null} - Timestamp, null if the rule does not fire that day
+ */
+function ruleTime(rule, day, location) {
+	if (rule.enabled === false || !rule.profile || !matchesDays(rule.days, day)) {
+		return null;
+	}
+	const trigger = rule.trigger || "time";
+	if (trigger === "time") {
+		const minutes = parseTime(rule.time);
+		if (minutes === null) {
+			return null;
+		}
+		// setHours keeps the wall clock time across daylight saving changes
+		const at = new Date(day);
+		at.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+		return at.getTime();
+	}
+	if (!location) {
+		return null;
+	}
+	const sun = sunTimes(day, location);
+	if (!sun) {
+		return null;
+	}
+	const base = trigger === "sunset" ? sun.sunset : sun.sunrise;
+	return base + (Number(rule.offset) || 0) * 60000;
+}
+
+/**
+ * All switches of the rules on a range of days around a timestamp
+ * @param {ScheduleRule[]} rules
+ * @param {number} now
+ * @param {Location | null} location
+ * @param {number} fromDay - First day relative to today
+ * @param {number} toDay - Last day relative to today
+ * @returns {{profile: string, at: number}[]}
+ */
+function switchesAround(rules, now, location, fromDay, toDay) {
+	const switches = [];
+	for (let offset = fromDay; offset <= toDay; offset++) {
+		const day = new Date(now);
+		day.setHours(0, 0, 0, 0);
+		day.setDate(day.getDate() + offset);
+		for (const rule of rules) {
+			const at = ruleTime(rule, day, location);
+			if (at !== null) {
+				switches.push({ profile: rule.profile, at });
+			}
+		}
+	}
+	return switches;
+}
+
+/**
+ * The profile of the last switch before a timestamp, looking back one week
+ * @param {ScheduleRule[]} rules
+ * @param {number} now
+ * @param {Location | null} location
+ * @returns {{profile: string, at: number} | null}
+ */
+function activeSwitch(rules, now, location) {
+	const past = switchesAround(rules, now, location, -7, 0).filter((entry) => entry.at <= now);
+	past.sort((a, b) => a.at - b.at);
+	return past.length ? past[past.length - 1] : null;
+}
+
+/**
+ * The next switch after a timestamp, looking ahead one week
+ * @param {ScheduleRule[]} rules
+ * @param {number} now
+ * @param {Location | null} location
+ * @returns {{profile: string, at: number} | null}
+ */
+function nextSwitch(rules, now, location) {
+	const future = switchesAround(rules, now, location, 0, 8).filter((entry) => entry.at > now);
+	future.sort((a, b) => a.at - b.at);
+	return future.length ? future[0] : null;
+}
+
+/**
+ * Settings of a profile, without the values it leaves unchanged
+ * @param {Profile} profile
+ * @returns {Record<string, number>} - Values by range input name (led, pwr, dist)
+ */
+function profileSettings(profile) {
+	/** @type {Record<string, number>} */
+	const settings = {};
+	for (const field of ["led", "pwr", "dist"]) {
+		const value = profile[field];
+		if (value !== "" && value !== null && value !== undefined && Number.isFinite(Number(value))) {
+			settings[field] = Number(value);
+		}
+	}
+	return settings;
+}
+
+module.exports = { parseTime, matchesDays, sunTimes, ruleTime, activeSwitch, nextSwitch, profileSettings };
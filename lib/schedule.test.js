@@ -0,0 +1,53 @@
+"use strict";
+
+const { expect } = require("chai");
+const { activeSwitch, nextSwitch, profileSettings, sunTimes } = require("./schedule");
+
+const berlin = { latitude: 52.52, longitude: 13.405 };
+
+describe("schedule => sunTimes", () => {
+	it("should calculate sunrise and sunset within a few minutes", () => {
+		const sun = sunTimes(new Date(2024, 5, 21, 12), berlin);
+		// 04:43 and 21:33 CEST
+		expect(sun?.sunrise).to.be.closeTo(Date.UTC(2024, 5, 21, 2, 43), 5 * 60000);
+		expect(sun?.sunset).to.be.closeTo(Date.UTC(2024, 5, 21, 19, 33), 5 * 60000);
+	});
+
+	it("should return null during polar night", () => {
+		expect(sunTimes(new Date(2024, 11, 21, 12), { latitude: 78.2, longitude: 15.6 })).to.equal(null);
+	});
+});
+
+describe("schedule => activeSwitch and nextSwitch", () => {
+	const rules = [
+		{ profile: "day", days: "daily", trigger: "time", time: "07:00" },
+		{ profile: "night", days: "daily", trigger: "time", time: "22:00" },
+		{ profile: "kids", days: "weekdays", trigger: "time", time: "14:00" },
+		{ profile: "ignored", enabled: false, time: "15:00" },
+	];
+
+	it("should find the profile that is active now", () => {
+		// Wednesday 2024-06-19
+		expect(activeSwitch(rules, new Date(2024, 5, 19, 6, 0).getTime(), null)?.profile).to.equal("night");
+		expect(activeSwitch(rules, new Date(2024, 5, 19, 15, 30).getTime(), null)?.profile).to.equal("kids");
+		// Saturday
+		expect(activeSwitch(rules, new Date(2024, 5, 22, 15, 30).getTime(), null)?.profile).to.equal("day");
+	});
+
+	it("should find the next switch", () => {
+		const next = nextSwitch(rules, new Date(2024, 5, 21, 23, 0).getTime(), null);
+		expect(next).to.deep.equal({ profile: "day", at: new Date(2024, 5, 22, 7, 0).getTime() });
+	});
+
+	it("should skip sun rules without a location", () => {
+		expect(activeSwitch([{ profile: "dark", trigger: "sunset" }], Date.now(), null)).to.equal(null);
+	});
+});
+
+describe("schedule => profileSettings", () => {
+	it("should leave out empty values", () => {
+		expect(profileSettings({ name: "night", led: 1, pwr: undefined, dist: /** @type {any} */ ("") })).to.deep.equal({
+			led: 1,
+		});
+	});
+});
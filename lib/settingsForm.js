@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * Range limits of one input of the settings form
+ * @typedef {object} RangeLimits
+ * @property {number} min
+ * @property {number} max
+ */
+
+// settings.* states and the names of the range inputs on the device homepage
+const SETTING_FIELDS = {
+	"settings.ledBrightness": "led",
+	"settings.ejectionForce": "pwr",
+	"settings.distance": "dist",
+};
+
+/**
+ * Extract the range inputs with valid limits from the parsed settings
+ * @param {Record<string, any>} settings - Settings as parsed by parseSettingsAndInfoFromHtml
+ * @returns {Record<string, RangeLimits>}
+ */
+function getSettingsForm(settings) {
+	/** @type {Record<string, RangeLimits>} */
+	const form = {};
+	for (const [field, input] of Object.entries(settings || {})) {
+		if (input && typeof input === "object" && Number.isFinite(input.min) && Number.isFinite(input.max)) {
+			form[field] = { min: input.min, max: input.max };
+		}
+	}
+	return form;
+}
+
+/**
+ * State name of a range input. Inputs without a mapping get settings.<field>.
+ * @param {string} field
+ * @returns {string}
+ */
+function settingStateName(field) {
+	const known = Object.keys(SETTING_FIELDS).find((stateName) => SETTING_FIELDS[stateName] === field);
+	return known || `settings.${field.replace(/[^a-zA-Z0-9_-]/g, "_")}`;
+}
+
+/**
+ * Whether a range input is mapped to a writable state
+ * @param {string} field
+ * @returns {boolean}
+ */
+function isMappedField(field) {
+	return Object.values(SETTING_FIELDS).includes(field);
+}
+
+/**
+ * Object of a range input the adapter does not know. It is read-only until it is mapped.
+ * @param {string} field
+ * @param {RangeLimits} limits
+ * @returns {ioBroker.SettableStateObject}
+ */
+function unmappedSettingObject(field, limits) {
+	return {
+		type: "state",
+		common: {
+			name: `${field} (unmapped setting)`,
+			type: "number",
+			role: "value",
+			min: limits.min,
+			max: limits.max,
+			read: true,
+			write: false,
+		},
+		native: {
+			field,
+		},
+	};
+}
+
+/**
+ * Describe the differences between two settings forms
+ * @param {Record<string, RangeLimits>} before
+ * @param {Record<string, RangeLimits>} after
+ * @returns {string[]} - e.g. ["added beep (0-1)", "led: 1-10 -> 1-20"]
+ */
+function diffSettingsForms(before, after) {
+	const changes = [];
+	for (const [field, limits] of Object.entries(after)) {
+		const old = before[field];
+		if (!old) {
+			changes.push(`added ${field} (${limits.min}-${limits.max})`);
+		} else if (old.min !== limits.min || old.max !== limits.max) {
+			changes.push(`${field}: ${old.min}-${old.max} -> ${limits.min}-${limits.max}`);
+		}
+	}
+	for (const field of Object.keys(before)) {
+		if (!after[field]) {
+			changes.push(`removed ${field}`);
+		}
+	}
+	return changes;
+}
+
+/**
+ * Values of all range inputs to post with the settings form, like the web interface of the device sends them.
+ * Inputs of the form that are not in the changes keep their current value, changes of inputs the form
+ * does not have are dropped.
+ * @param {Record<string, any>} current - Settings as parsed by parseSettingsAndInfoFromHtml
+ * @param {Record<string, number>} values - Changed values by range input name
+ * @returns {Record<string, number>}
+ */
+function mergeSettingValues(current, values) {
+	/** @type {Record<string, number>} */
+	const merged = {};
+	for (const field of Object.keys(getSettingsForm(current))) {
+		merged[field] = field in values ? values[field] : current[field].value;
+	}
+	return merged;
+}
+
+module.exports = {
+	SETTING_FIELDS,
+	getSettingsForm,
+	mergeSettingValues,
+	settingStateName,
+	isMappedField,
+	unmappedSettingObject,
+	diffSettingsForms,
+};
@@ -0,0 +1,54 @@
+"use strict";
+
+const { expect } = require("chai");
+const { diffSettingsForms, getSettingsForm, mergeSettingValues, settingStateName } = require("./settingsForm");
+
+describe("settingsForm => getSettingsForm", () => {
+	it("should keep only range inputs with valid limits", () => {
+		const form = getSettingsForm({
+			led: { value: 5, min: 1, max: 10 },
+			beep: { value: 0, min: 0, max: 1 },
+			broken: { value: NaN, min: NaN, max: NaN },
+			ssid: "Home",
+			ipconf: false,
+		});
+		expect(form).to.deep.equal({ led: { min: 1, max: 10 }, beep: { min: 0, max: 1 } });
+	});
+});
+
+describe("settingsForm => mergeSettingValues", () => {
+	it("should post every range input of the form, also the unmapped ones", () => {
+		const current = {
+			led: { value: 5, min: 1, max: 10 },
+			dist: { value: 50, min: 31, max: 100 },
+			beep: { value: 0, min: 0, max: 1 },
+			ipconf: false,
+		};
+		expect(mergeSettingValues(current, { beep: 1, dist: 40, unknown: 3 })).to.deep.equal({
+			led: 5,
+			dist: 40,
+			beep: 1,
+		});
+	});
+});
+
+describe("settingsForm => settingStateName", () => {
+	it("should map known inputs and fall back to settings.<field>", () => {
+		expect(settingStateName("pwr")).to.equal("settings.ejectionForce");
+		expect(settingStateName("beep")).to.equal("settings.beep");
+		expect(settingStateName("a.b")).to.equal("settings.a_b");
+	});
+});
+
+describe("settingsForm => diffSettingsForms", () => {
+	it("should list added, removed and changed inputs", () => {
+		const before = { led: { min: 1, max: 10 }, dist: { min: 31, max: 100 }, old: { min: 0, max: 1 } };
+		const after = { led: { min: 1, max: 20 }, dist: { min: 31, max: 100 }, beep: { min: 0, max: 1 } };
+		expect(diffSettingsForms(before, after)).to.deep.equal([
+			"led: 1-10 -> 1-20",
+			"added beep (0-1)",
+			"removed old",
+		]);
+		expect(diffSettingsForms(after, after)).to.deep.equal([]);
+	});
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+// Source of changes the adapter did not make, e.g. in the web UI or the app of the device
+const EXTERNAL_SOURCE = "external";
+// A sent value that was not read back within this time is no longer expected, e.g. after a failed write
+const EXPECTED_TTL = 60000;
+
+/**
+ * One change of a setting
+ * @typedef {object} SettingChange
+ * @property {number} ts - Time the change was detected
+ * @property {string} field - Name of the range input, e.g. "led"
+ * @property {number | null} from
+ * @property {number} to
+ * @property {string} source - Who made the change, e.g. system.adapter.javascript.0, or "external"
+ * @property {boolean} external - Whether the change was made outside of ioBroker
+ */
+
+/**
+ * A value the adapter has sent and expects to read back
+ * @typedef {object} ExpectedSetting
+ * @property {number} value
+ * @property {string} source
+ * @property {number} ts - Time the value was sent
+ */
+
+/**
+ * Compare the settings read from a device with the values known from the last read.
+ * Changes to a value the adapter has sent are attributed to the sender of that value.
+ * @param {Record<string, number> | null} known - Values of the last read, null before the first read
+ * @param {Record<string, any>} settings - Settings as parsed by parseSettingsAndInfoFromHtml
+ * @param {Record<string, ExpectedSetting>} expected - Sent values, consumed when they are read back or expired
+ * @param {number} [now]
+ * @returns {{known: Record<string, number>, changes: SettingChange[]}}
+ */
+function diffSettings(known, settings, expected, now = Date.now()) {
+	/** @type {Record<string, number>} */
+	const values = {};
+	/** @type {SettingChange[]} */
+	const changes = [];
+	for (const [field, input] of Object.entries(settings || {})) {
+		if (!input || typeof input !== "object" || !Number.isFinite(input.value)) {
+			continue;
+		}
+		values[field] = input.value;
+		// A read between sending a value and the device applying it still shows the old value
+		const sent = expected[field] && now - expected[field].ts <= EXPECTED_TTL ? expected[field] : undefined;
+		const own = !!sent && sent.value === input.value;
+		if (own || !sent) {
+			delete expected[field];
+		}
+		if (!known || known[field] === input.value) {
+			continue;
+		}
+		changes.push({
+			ts: now,
+			field,
+			from: field in known ? known[field] : null,
+			to: input.value,
+			source: own ? sent.source : EXTERNAL_SOURCE,
+			external: !own,
+		});
+	}
+	return { known: values, changes };
+}
+
+/**
+ * Append changes to a history and drop the oldest entries
+ * @param {SettingChange[]} history
+ * @param {SettingChange[]} changes
+ * @param {number} limit - Maximum number of entries
+ * @returns {SettingChange[]}
+ */
+function appendHistory(history, changes, limit) {
+	const merged = [...(Array.isArray(history) ? history : []), ...changes];
+	return merged.slice(Math.max(0, merged.length - limit));
+}
+
+module.exports = { EXTERNAL_SOURCE, EXPECTED_TTL, diffSettings, appendHistory };
@@ -0,0 +1,60 @@
+"use strict";
+
+const { expect } = require("chai");
+const { EXPECTED_TTL, appendHistory, diffSettings } = require("./settingsHistory");
+
+/**
+ * @param {Record<string, number>} values
+ */
+const form = (values) =>
+	Object.fromEntries(Object.entries(values).map(([field, value]) => [field, { value, min: 0, max: 100 }]));
+
+describe("settingsHistory => diffSettings", () => {
+	it("should only take the values of the first read", () => {
+		const result = diffSettings(null, { ...form({ led: 5 }), ipconf: false }, {}, 1);
+		expect(result).to.deep.equal({ known: { led: 5 }, changes: [] });
+	});
+
+	it("should tell own changes from external ones", () => {
+		const expected = {
+			led: { value: 8, source: "system.adapter.admin.0", ts: 900 },
+			dist: { value: 60, source: "lock", ts: 900 },
+		};
+		const result = diffSettings({ led: 5, pwr: 3, dist: 50 }, form({ led: 8, pwr: 4, dist: 70 }), expected, 1000);
+		expect(result.known).to.deep.equal({ led: 8, pwr: 4, dist: 70 });
+		expect(result.changes).to.deep.equal([
+			{ ts: 1000, field: "led", from: 5, to: 8, source: "system.adapter.admin.0", external: false },
+			{ ts: 1000, field: "pwr", from: 3, to: 4, source: "external", external: true },
+			{ ts: 1000, field: "dist", from: 50, to: 70, source: "external", external: true },
+		]);
+		// The led value was read back, dist is still expected
+		expect(expected).to.deep.equal({ dist: { value: 60, source: "lock", ts: 900 } });
+	});
+
+	it("should keep the sent value over a read before the device applied it", () => {
+		const expected = { led: { value: 8, source: "system.adapter.admin.0", ts: 1000 } };
+		// A poll between sending and the read-back still sees the old value
+		const poll = diffSettings({ led: 5 }, form({ led: 5 }), expected, 1500);
+		expect(poll.changes).to.deep.equal([]);
+		const readBack = diffSettings(poll.known, form({ led: 8 }), expected, 2000);
+		expect(readBack.changes).to.deep.equal([
+			{ ts: 2000, field: "led", from: 5, to: 8, source: "system.adapter.admin.0", external: false },
+		]);
+		expect(expected).to.deep.equal({});
+	});
+
+	it("should drop a sent value that was not read back in time", () => {
+		const expected = { led: { value: 8, source: "system.adapter.admin.0", ts: 1000 } };
+		const result = diffSettings({ led: 5 }, form({ led: 8 }), expected, 1001 + EXPECTED_TTL);
+		expect(result.changes[0]).to.include({ source: "external", external: true });
+		expect(expected).to.deep.equal({});
+	});
+});
+
+describe("settingsHistory => appendHistory", () => {
+	it("should keep the newest entries", () => {
+		const entry = (ts) => ({ ts, field: "led", from: 1, to: 2, source: "external", external: true });
+		const history = appendHistory([entry(1), entry(2)], [entry(3), entry(4)], 3);
+		expect(history.map((change) => change.ts)).to.deep.equal([2, 3, 4]);
+	});
+});
@@ -0,0 +1,402 @@
+"use strict";
+
+/*
+ * Fake Hailo Libero 3.0 web interface for development and tests.
+ * Start it standalone with `npm run simulator -- --port 8181` and point an instance at it.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+/**
+ * @typedef {object} SimulatorOptions
+ * @property {string} [pin] - Device PIN (default: hailo)
+ * @property {number} [latency] - Delay of every response in milliseconds
+ * @property {boolean} [wrongPin] - Reject every login, even with the correct PIN
+ * @property {number} [sessionTtl] - Lifetime of a session cookie in milliseconds, 0 for no expiry
+ * @property {boolean} [malformedHtml] - Serve a broken homepage without system info and with invalid ranges
+ * @property {boolean} [busy] - Answer every request after the login with 503 Service Unavailable
+ * @property {number} [restartDuration] - Time the device is unreachable after /restart in milliseconds
+ * @property {number} [openDuration] - Time the status is not "Ready" after an opening in milliseconds
+ * @property {string} [device] - Device string shown in span#t5
+ * @property {string} [firmware] - Firmware version shown in span#t6
+ * @property {boolean} [ignorePinChange] - Answer PIN changes with OK but keep the old PIN
+ */
+
+/**
+ * Fake Libero device serving /login, /, /push, /settings, /wifi, /pin and /restart
+ */
+class LiberoSimulator {
+	/**
+	 * @param {SimulatorOptions} [options]
+	 */
+	constructor(options = {}) {
+		this.pin = options.pin || "hailo";
+		this.latency = options.latency || 0;
+		this.wrongPin = !!options.wrongPin;
+		this.sessionTtl = options.sessionTtl || 0;
+		this.malformedHtml = !!options.malformedHtml;
+		this.busy = !!options.busy;
+		this.ignorePinChange = !!options.ignorePinChange;
+		this.restartDuration = options.restartDuration ?? 3000;
+		this.openDuration = options.openDuration ?? 1500;
+
+		this.info = {
+			device: options.device || "Libero30_25266A",
+			firmware: options.firmware || "3.0.4",
+			status: "Ready",
+		};
+		/** @type {Record<string, {value: number, min: number, max: number}>} - Range inputs, extra entries are rendered too */
+		this.settings = {
+			led: { value: 5, min: 1, max: 10 },
+			pwr: { value: 5, min: 1, max: 10 },
+			dist: { value: 50, min: 31, max: 100 },
+		};
+		this.network = {
+			ssid: "Home",
+			password: "",
+			// ipconf "1" selects a static address, "0" DHCP
+			ipconf: "0",
+			ip: "192.168.10.25",
+			subnet: "255.255.255.0",
+			gateway: "192.168.10.1",
+		};
+
+		/** @type {Map<string, number>} - Session cookie => expiry timestamp (0 = never) */
+		this.sessions = new Map();
+		/** Number of openings, remote and by the sensor */
+		this.openCount = 0;
+		/** Requests received, as "METHOD /path" */
+		this.requests = [];
+		this.restarting = false;
+
+		/** @type {http.Server | null} */
+		this.server = null;
+		/** @type {NodeJS.Timeout | undefined} */
+		this.statusTimer = undefined;
+		/** @type {NodeJS.Timeout | undefined} */
+		this.restartTimer = undefined;
+	}
+
+	/**
+	 * Start listening
+	 * @param {number} [port] - 0 picks a free port
+	 * @param {string} [host]
+	 * @returns {Promise<number>} - The port the simulator listens on
+	 */
+	start(port = 0, host = "127.0.0.1") {
+		return new Promise((resolve, reject) => {
+			const server = http.createServer((req, res) => {
+				this.handle(req, res).catch((error) => {
+					res.writeHead(500);
+					res.end(error.message);
+				});
+			});
+			this.server = server;
+			server.once("error", reject);
+			server.listen(port, host, () => {
+				resolve(/** @type {import("net").AddressInfo} */ (server.address()).port);
+			});
+		});
+	}
+
+	/**
+	 * Stop listening and clear all timers
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		clearTimeout(this.statusTimer);
+		clearTimeout(this.restartTimer);
+		return new Promise((resolve) => {
+			if (!this.server) {
+				resolve();
+				return;
+			}
+			this.server.closeAllConnections();
+			this.server.close(() => resolve());
+			this.server = null;
+		});
+	}
+
+	/**
+	 * Invalidate all session cookies
+	 */
+	expireSessions() {
+		this.sessions.clear();
+	}
+
+	/**
+	 * Simulate an opening by the hand sensor
+	 */
+	triggerSensor() {
+		this.openCount++;
+		this.info.status = "Opening";
+		clearTimeout(this.statusTimer);
+		this.statusTimer = setTimeout(() => {
+			this.info.status = "Ready";
+		}, this.openDuration);
+	}
+
+	/**
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 */
+	async handle(req, res) {
+		if (this.restarting) {
+			req.socket.destroy();
+			return;
+		}
+		if (this.latency) {
+			await new Promise((resolve) => setTimeout(resolve, this.latency));
+		}
+
+		const path = (req.url || "/").split("?")[0];
+		this.requests.push(`${req.method} ${path}`);
+		const body = req.method === "POST" ? await this.readBody(req) : new URLSearchParams();
+
+		if (path === "/login") {
+			if (req.method === "POST") {
+				if (!this.wrongPin && body.get("pin") === this.pin) {
+					const cookie = crypto.randomBytes(8).toString("hex");
+					this.sessions.set(cookie, this.sessionTtl ? Date.now() + this.sessionTtl : 0);
+					res.writeHead(301, { Location: "/", "Set-Cookie": `c=${cookie}; Path=/` });
+					res.end();
+					return;
+				}
+			}
+			this.sendHtml(res, this.renderLogin());
+			return;
+		}
+
+		if (!this.isAuthenticated(req)) {
+			res.writeHead(301, { Location: "/login" });
+			res.end();
+			return;
+		}
+		if (this.busy) {
+			res.writeHead(503, { "Retry-After": "2" });
+			res.end("Busy");
+			return;
+		}
+
+		switch (`${req.method} ${path}`) {
+			case "GET /":
+				this.sendHtml(res, this.malformedHtml ? this.renderMalformed() : this.renderHomepage());
+				return;
+
+			case "GET /push":
+				this.triggerSensor();
+				this.sendText(res, "OK");
+				return;
+
+			case "POST /settings":
+				for (const name of Object.keys(this.settings)) {
+					const value = Number(body.get(name));
+					const range = this.settings[name];
+					if (body.has(name) && Number.isInteger(value) && value >= range.min && value <= range.max) {
+						range.value = value;
+					}
+				}
+				this.sendHtml(res, this.renderHomepage());
+				return;
+
+			case "POST /wifi":
+				this.network.ipconf = body.get("ipconf") === "1" ? "1" : "0";
+				for (const [field, key] of [
+					["ssid", "ssid"],
+					["pass", "password"],
+					["ip", "ip"],
+					["sn", "subnet"],
+					["gw", "gateway"],
+				]) {
+					if (body.has(field)) {
+						this.network[key] = body.get(field) || "";
+					}
+				}
+				this.sendText(res, "OK");
+				return;
+
+			case "POST /pin":
+				if (body.get("old_pin") !== this.pin || !body.get("new_pin")) {
+					res.writeHead(403);
+					res.end("Wrong PIN");
+					return;
+				}
+				if (!this.ignorePinChange) {
+					this.pin = /** @type {string} */ (body.get("new_pin"));
+				}
+				this.sendText(res, "OK");
+				return;
+
+			case "POST /restart":
+				this.sendText(res, "OK");
+				this.restart();
+				return;
+
+			default:
+				res.writeHead(404);
+				res.end("Not found");
+		}
+	}
+
+	/**
+	 * Go offline for restartDuration and forget all sessions
+	 */
+	restart() {
+		this.restarting = true;
+		this.expireSessions();
+		this.info.status = "Ready";
+		clearTimeout(this.restartTimer);
+		this.restartTimer = setTimeout(() => {
+			this.restarting = false;
+		}, this.restartDuration);
+	}
+
+	/**
+	 * @param {http.IncomingMessage} req
+	 * @returns {boolean}
+	 */
+	isAuthenticated(req) {
+		const match = /(?:^|;\s*)c=([^;]+)/.exec(req.headers.cookie || "");
+		if (!match || !this.sessions.has(match[1])) {
+			return false;
+		}
+		const expires = /** @type {number} */ (this.sessions.get(match[1]));
+		if (expires && expires < Date.now()) {
+			this.sessions.delete(match[1]);
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * @param {http.IncomingMessage} req
+	 * @returns {Promise<URLSearchParams>}
+	 */
+	readBody(req) {
+		return new Promise((resolve, reject) => {
+			let data = "";
+			req.on("data", (chunk) => (data += chunk));
+			req.on("end", () => resolve(new URLSearchParams(data)));
+			req.on("error", reject);
+		});
+	}
+
+	/**
+	 * @param {http.ServerResponse} res
+	 * @param {string} html
+	 */
+	sendHtml(res, html) {
+		res.writeHead(200, { "Content-Type": "text/html" });
+		res.end(html);
+	}
+
+	/**
+	 * @param {http.ServerResponse} res
+	 * @param {string} text
+	 */
+	sendText(res, text) {
+		res.writeHead(200, { "Content-Type": "text/plain" });
+		res.end(text);
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	renderLogin() {
+		return `<!DOCTYPE html><html><head><title>Libero 3.0</title></head><body>
+<form action="/login" method="post">
+<p><span id="t0">PIN</span>: <input type="password" name="pin"></p>
+<input class="button" type="submit" name="submit" value="Login">
+</form>
+</body></html>`;
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	renderHomepage() {
+		const { led, pwr, dist } = this.settings;
+		const range = (/** @type {string} */ name, /** @type {{value: number, min: number, max: number}} */ r) =>
+			`<input type="range" name="${name}" min="${r.min}" max="${r.max}" value="${r.value}">`;
+		const checked = (/** @type {string} */ value) => (this.network.ipconf === value ? " checked" : "");
+
+		return `<!DOCTYPE html><html><head><title>Libero 3.0</title></head><body>
+<h1>Libero 3.0</h1>
+<form action="/settings" method="post">
+<p><span id="t1">LED</span>: ${range("led", led)}</p>
+<p><span id="t2">Kraft</span>: ${range("pwr", pwr)}</p>
+<p><span id="t3">Distanz</span>: ${range("dist", dist)}</p>
+${Object.entries(this.settings)
+		.filter(([name]) => !["led", "pwr", "dist"].includes(name))
+		.map(([name, r]) => `<p>${name}: ${range(name, r)}</p>\n`)
+		.join("")}<input class="button" type="submit" value="Speichern">
+</form>
+<form action="/push" method="get"><input class="button" type="submit" value="Öffnen"></form>
+<form action="/wifi" method="post">
+<p><span id="t4">WLAN</span>: <input type="text" name="ssid" value="${this.network.ssid}">
+<input type="password" name="pass" value=""></p>
+<p><input type="radio" name="ipconf" value="0"${checked("0")}>DHCP
+<input type="radio" name="ipconf" value="1"${checked("1")}>Statisch</p>
+<p><input type="text" name="ip" value="${this.network.ip}">
+<input type="text" name="sn" value="${this.network.subnet}">
+<input type="text" name="gw" value="${this.network.gateway}"></p>
+<input class="button" type="submit" value="Speichern">
+</form>
+<p><span id="t5">Gerät</span>: ${this.info.device}<br>
+<span id="t6">SW Version</span>: ${this.info.firmware}<br>
+<span id="t7">Status</span>: ${this.info.status}<br>
+<span id="t8">STA-SSID</span>: ${this.network.ssid}<br>
+<span id="t9">STA-IP</span>: ${this.network.ip}<br>
+<span id="t10">STA-Subnet Mask</span>: ${this.network.subnet}</p>
+<form action="/pin" method="post">
+<p><span id="t11">PIN</span>: <input type="password" name="old_pin"> <input type="password" name="new_pin"></p>
+<input class="button" type="submit" value="Speichern">
+</form>
+<form action="/restart" method="post"><input class="button" type="submit" value="Neustart"></form>
+</body></html>`;
+	}
+
+	/**
+	 * Homepage as served by a broken or unknown firmware
+	 * @returns {string}
+	 */
+	renderMalformed() {
+		return `<!DOCTYPE html><html><body><h1>Libero 3.0</h1>
+<form action="/settings" method="post">
+<input type="range" name="led" min="" value="bright"
+<p><span id="t6">SW Version</span>
+</body>`;
+	}
+}
+
+module.exports = LiberoSimulator;
+
+if (require.main === module) {
+	const { parseArgs } = require("util");
+	const { values } = parseArgs({
+		options: {
+			port: { type: "string", default: "8181" },
+			host: { type: "string", default: "0.0.0.0" },
+			pin: { type: "string", default: "hailo" },
+			latency: { type: "string", default: "0" },
+			"session-ttl": { type: "string", default: "0" },
+			"wrong-pin": { type: "boolean", default: false },
+			malformed: { type: "boolean", default: false },
+			busy: { type: "boolean", default: false },
+		},
+	});
+
+	const simulator = new LiberoSimulator({
+		pin: values.pin,
+		latency: Number(values.latency),
+		sessionTtl: Number(values["session-ttl"]) * 1000,
+		wrongPin: values["wrong-pin"],
+		malformedHtml: values.malformed,
+		busy: values.busy,
+	});
+	simulator.start(Number(values.port), values.host).then((port) => {
+		console.log(`Libero simulator listening on ${values.host}:${port} (PIN: ${simulator.pin})`);
+	});
+	process.on("SIGINT", () => simulator.stop().then(() => process.exit(0)));
+}
@@ -0,0 +1,111 @@
+"use strict";
+
+/**
+ * What made the lid open, published in events.openedBy
+ */
+const OpeningSource = {
+	SENSOR: "sensor",
+	COMMAND: "command",
+};
+
+/** An opening this soon after an open command was sent is caused by the command */
+const COMMAND_WINDOW = 15000;
+
+/**
+ * Counters of lid openings by the hand sensor
+ * @typedef {object} UsageCounters
+ * @property {number} today
+ * @property {number} week
+ * @property {number} total
+ */
+
+/**
+ * Start of the local day of a timestamp
+ * @param {number} ts
+ * @returns {number}
+ */
+function startOfDay(ts) {
+	const date = new Date(ts);
+	date.setHours(0, 0, 0, 0);
+	return date.getTime();
+}
+
+/**
+ * Start of the local week (Monday 00:00) of a timestamp
+ * @param {number} ts
+ * @returns {number}
+ */
+function startOfWeek(ts) {
+	const date = new Date(startOfDay(ts));
+	// getDay() is 0 for Sunday, weeks start on Monday
+	date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+	return date.getTime();
+}
+
+/**
+ * Reset the daily and weekly counters if the last opening lies in an earlier day or week
+ * @param {UsageCounters} counters
+ * @param {number} lastOpened - Timestamp of the last counted opening, 0 if none
+ * @param {number} now
+ * @returns {UsageCounters}
+ */
+function rollCounters(counters, lastOpened, now) {
+	return {
+		today: lastOpened && startOfDay(lastOpened) === startOfDay(now) ? counters.today : 0,
+		week: lastOpened && startOfWeek(lastOpened) === startOfWeek(now) ? counters.week : 0,
+		total: counters.total,
+	};
+}
+
+/**
+ * Source of a detected opening
+ * @param {number} lastCommandAt - Timestamp of the last open command, 0 if none
+ * @param {number} now
+ * @returns {string} - One of OpeningSource
+ */
+function openingSource(lastCommandAt, now) {
+	return lastCommandAt && now - lastCommandAt < COMMAND_WINDOW ? OpeningSource.COMMAND : OpeningSource.SENSOR;
+}
+
+/**
+ * Count one opening. Openings by a command only roll the counters over, so they stay in line with the
+ * timestamp of the opening.
+ * @param {UsageCounters} counters
+ * @param {number} lastOpened - Timestamp of the previous opening, 0 if none
+ * @param {number} now
+ * @param {string} [source] - One of OpeningSource
+ * @returns {UsageCounters}
+ */
+function countOpening(counters, lastOpened, now, source = OpeningSource.SENSOR) {
+	const rolled = rollCounters(counters, lastOpened, now);
+	if (source !== OpeningSource.SENSOR) {
+		return rolled;
+	}
+	return {
+		today: rolled.today + 1,
+		week: rolled.week + 1,
+		total: rolled.total + 1,
+	};
+}
+
+/**
+ * Milliseconds until the next local midnight
+ * @param {number} now
+ * @returns {number}
+ */
+function msUntilMidnight(now) {
+	const date = new Date(startOfDay(now));
+	date.setDate(date.getDate() + 1);
+	return date.getTime() - now;
+}
+
+module.exports = {
+	OpeningSource,
+	COMMAND_WINDOW,
+	startOfDay,
+	startOfWeek,
+	rollCounters,
+	openingSource,
+	countOpening,
+	msUntilMidnight,
+};
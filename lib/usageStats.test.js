@@ -0,0 +1,57 @@
+"use strict";
+
+const { expect } = require("chai");
+const {
+	OpeningSource,
+	COMMAND_WINDOW,
+	countOpening,
+	msUntilMidnight,
+	openingSource,
+	rollCounters,
+	startOfWeek,
+} = require("./usageStats");
+
+// Wednesday, 19 June 2024
+const wednesday = new Date(2024, 5, 19, 12, 0).getTime();
+const counters = { today: 3, week: 10, total: 42 };
+
+describe("usageStats => openingSource", () => {
+	it("should attribute openings shortly after an open command to the command", () => {
+		expect(openingSource(wednesday - 2000, wednesday)).to.equal(OpeningSource.COMMAND);
+		expect(openingSource(wednesday - COMMAND_WINDOW, wednesday)).to.equal(OpeningSource.SENSOR);
+		expect(openingSource(0, wednesday)).to.equal(OpeningSource.SENSOR);
+	});
+});
+
+describe("usageStats => countOpening and rollCounters", () => {
+	it("should count openings by the hand sensor", () => {
+		expect(countOpening(counters, wednesday - 60000, wednesday)).to.deep.equal({ today: 4, week: 11, total: 43 });
+		expect(countOpening({ today: 0, week: 0, total: 0 }, 0, wednesday)).to.deep.equal({
+			today: 1,
+			week: 1,
+			total: 1,
+		});
+	});
+
+	it("should not count openings by a command", () => {
+		expect(countOpening(counters, wednesday - 60000, wednesday, OpeningSource.COMMAND)).to.deep.equal(counters);
+		const nextDay = wednesday + 24 * 60 * 60 * 1000;
+		expect(countOpening(counters, wednesday, nextDay, OpeningSource.COMMAND)).to.deep.equal({
+			today: 0,
+			week: 10,
+			total: 42,
+		});
+	});
+
+	it("should start the day and the week over", () => {
+		const thursday = new Date(2024, 5, 20, 0, 0, 1).getTime();
+		const monday = new Date(2024, 5, 24, 0, 0, 1).getTime();
+		expect(rollCounters(counters, wednesday, thursday)).to.deep.equal({ today: 0, week: 10, total: 42 });
+		expect(rollCounters(counters, wednesday, monday)).to.deep.equal({ today: 0, week: 0, total: 42 });
+		expect(startOfWeek(wednesday)).to.equal(new Date(2024, 5, 17).getTime());
+	});
+
+	it("should wait until the next midnight", () => {
+		expect(msUntilMidnight(wednesday)).to.equal(12 * 60 * 60 * 1000);
+	});
+});
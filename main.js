@@ -8,6 +8,96 @@
 // you need to create an adapter
 const utils = require("@iobroker/adapter-core");
 const HailoClient = require("./lib/hailoClient");
+const { deviceObjects, deviceObject } = require("./lib/deviceObjects");
+const usageStats = require("./lib/usageStats");
+const { mergeNetworkConfig, validateNetworkConfig } = require("./lib/networkConfig");
+const { addDiscoveredDevices, discover, discoveryRows } = require("./lib/discovery");
+const { EBUSY, EINVAL, describeError, reconnectDelay } = require("./lib/diagnostics");
+const { AuthError, DeviceBusyError, ProtocolError, ValidationError } = require("./lib/errors");
+const settingsForm = require("./lib/settingsForm");
+const schedule = require("./lib/schedule");
+const backup = require("./lib/backup");
+const settingsHistory = require("./lib/settingsHistory");
+const { HomeAssistantBridge, ENTITIES } = require("./lib/homeAssistant");
+const { PollMode, pollDelay, selectPollMode } = require("./lib/pollMode");
+const dashboard = require("./lib/dashboard");
+const { configuredDevices, deviceId } = require("./lib/deviceConfig");
+const { changePinVerified } = require("./lib/pinChange");
+
+// Time the device needs after a restart before it is probed
+const RESTART_SETTLE_TIME = 10000;
+// Interval of reachability probes while waiting for a restarted device
+const RESTART_PROBE_INTERVAL = 5000;
+// Give up waiting for a restarted device after this time
+const RESTART_TIMEOUT = 120000;
+// Time events.opened stays true after an opening
+const OPENED_PULSE_DURATION = 1000;
+// Settings changed within this time are sent to the device in one request
+const SETTINGS_DEBOUNCE = 500;
+// The schedule is re-evaluated at least this often, e.g. after the system clock changed
+const SCHEDULE_MAX_WAIT = 60 * 60 * 1000;
+// Shortest interval of the repeated ejects of control.openAndHold
+const OPEN_HOLD_INTERVAL = 3000;
+// Entries kept in events.settingsHistory
+const SETTINGS_HISTORY_SIZE = 50;
+// Status polls pause at least this long after the device reported that it is busy
+const DEVICE_BUSY_DELAY = 10000;
+
+const { SETTING_FIELDS } = settingsForm;
+
+// Settings a lock overrides and the limit of the device range they are set to.
+// The device cannot switch the sensor off, the shortest distance makes it practically unreachable.
+const LOCK_SETTINGS = {
+	dist: "min",
+};
+
+/** @typedef {import("./lib/deviceConfig").DeviceConfig} DeviceConfig */
+
+/**
+ * A locked device, persisted in the native part of the device object
+ * @typedef {object} DeviceLock
+ * @property {Record<string, number>} settings - Values to restore on unlock
+ * @property {Record<string, number>} values - Values written by the lock
+ * @property {number} until - Timestamp of the automatic unlock, 0 for none
+ */
+
+/**
+ * Runtime data of a single configured device
+ * @typedef {object} DeviceContext
+ * @property {string} id - Object id below devices.*
+ * @property {string} name - Display name
+ * @property {DeviceConfig} config - Config row the device was started from
+ * @property {HailoClient} client
+ * @property {ioBroker.Timeout | undefined} pollTimeout - Next status poll, its delay depends on the poll mode
+ * @property {number} lastActivity - Timestamp of the last command or detected change, polls are fast after it
+ * @property {string | null} pollMode - Poll mode published in info.pollMode
+ * @property {import("./lib/dashboard").DashboardEvent[]} events - Last events, shown on the dashboard tab
+ * @property {ioBroker.Interval | undefined} eventPollInterval - Fast status poll of the event detection
+ * @property {boolean} eventPollBusy - An event poll request is still running
+ * @property {ioBroker.Timeout | undefined} reconnectTimeout
+ * @property {number} reconnectAttempts - Failed connection attempts since the last successful connect
+ * @property {Record<string, number>} pendingSettings - Setting values by form field waiting for the debounce timer
+ * @property {Record<string, string>} pendingSources - Who requested the pending values, by form field
+ * @property {Record<string, number> | null} knownSettings - Setting values of the last read, by form field
+ * @property {Record<string, import("./lib/settingsHistory").ExpectedSetting>} expectedSettings - Values sent by the adapter and not read back yet
+ * @property {Promise<void>} historyWrite - Last update of events.settingsHistory, updates run one after another
+ * @property {ioBroker.Timeout | undefined} settingsTimeout - Debounce timer of the settings write
+ * @property {boolean} settingsBusy - A settings write is running
+ * @property {Map<string, string>} settingStates - State name by range input of the settings form
+ * @property {string | null} appliedProfile - Last profile sent to the device
+ * @property {DeviceLock | null} lock - Set while the device is locked
+ * @property {ioBroker.Timeout | undefined} unlockTimeout - Auto-unlock timer
+ * @property {number} lastOpenAt - Timestamp of the last open command sent to the device
+ * @property {boolean} openBusy - An open command is running
+ * @property {ioBroker.Timeout | undefined} openTimeout - Delayed open waiting for the minimum interval
+ * @property {ioBroker.Interval | undefined} holdInterval - Repeated ejects of control.openAndHold
+ * @property {number} busyUntil - Status polls are paused until this timestamp after the device was busy
+ * @property {string | null} protocolWarning - Firmware version the unexpected answers were reported for
+ * @property {boolean} isConnected
+ * @property {boolean} restarting - A restart was sent and the device is not back yet
+ * @property {number} consecutiveFailures - Failed commands/polls while the device was reachable
+ * @property {number} lastAutoRestart - Timestamp of the last restart by the watchdog
+ */
 
 class HailoLibero extends utils.Adapter {
 	/**
@@ -24,49 +114,26 @@ class HailoLibero extends utils.Adapter {
 		this.on("unload", this.onUnload.bind(this));
 
 		// Initialize variables
-		this.client = null;
-		this.pollInterval = null;
-		this.reconnectTimeout = null;
-		this.isConnected = false;
+		/** @type {Map<string, DeviceContext>} */
+		this.devices = new Map();
+		/** @type {ioBroker.Timeout | undefined} */
+		this.counterResetTimeout = undefined;
+		/** @type {ioBroker.Timeout | undefined} */
+		this.scheduleTimeout = undefined;
+		/** @type {import("./lib/schedule").Location | null} */
+		this.location = null;
+		/** @type {string | null} - Profile that is currently active */
+		this.activeProfile = null;
+		// Timestamp of the last scheduled switch that was applied
+		this.lastSwitchAt = 0;
+		/** @type {HomeAssistantBridge | null} */
+		this.haBridge = null;
 	}
 
 	/**
 	 * Is called when databases are connected and adapter received configuration.
 	 */
 	async onReady() {
-		// Validate configuration
-		if (!this.config.deviceIp) {
-			this.log.error("Device IP address is not configured. Please configure the adapter.");
-			return;
-		}
-
-		this.log.info(
-			`Initializing Hailo Libero adapter for device at ${this.config.deviceIp}:${this.config.devicePort}`,
-		);
-
-		// Create states for device control and monitoring
-		await this.createStates();
-
-		// Initialize Hailo client
-		this.client = new HailoClient(
-			this.config.deviceIp,
-			this.config.devicePort || 81,
-			this.config.password || "hailo",
-			this.log,
-		);
-
-		// Subscribe to state changes
-		this.subscribeStates("*");
-
-		// Connect to device and start polling
-		await this.connectToDevice();
-	}
-
-	/**
-	 * Create all necessary states for the adapter
-	 */
-	async createStates() {
-		// Connection state
 		await this.setObjectNotExistsAsync("info.connection", {
 			type: "state",
 			common: {
@@ -81,7 +148,7 @@ class HailoLibero extends utils.Adapter {
 					es: "Estado de conexión del dispositivo",
 					pl: "Status połączenia urządzenia",
 					uk: "Статус підключення пристрою",
-					"zh-cn": "设备连接状态"
+					"zh-cn": "设备连接状态",
 				},
 				type: "boolean",
 				role: "indicator.connected",
@@ -90,387 +157,2318 @@ class HailoLibero extends utils.Adapter {
 			},
 			native: {},
 		});
+		await this.setState("info.connection", { val: false, ack: true });
 
-		// Control states
-		await this.setObjectNotExistsAsync("control.open", {
-			type: "state",
-			common: {
-				name: {
-					en: "Open bin lid",
-					de: "Deckel öffnen",
-					ru: "Открыть крышку",
-					pt: "Abrir tampa",
-					nl: "Deksel openen",
-					fr: "Ouvrir le couvercle",
-					it: "Apri coperchio",
-					es: "Abrir tapa",
-					pl: "Otwórz pokrywę",
-					uk: "Відкрити кришку",
-					"zh-cn": "打开盖子"
-				},
-				type: "boolean",
-				role: "button",
-				read: false,
-				write: true,
-			},
-			native: {},
-		});
+		// Remove the flat object tree of the single-device versions
+		await this.removeLegacyObjects();
 
-		// LED brightness
-		await this.setObjectNotExistsAsync("settings.ledBrightness", {
-			type: "state",
-			common: {
-				name: "LED brightness",
-				type: "number",
-				role: "level.dimmer",
-				min: 1,
-				max: 10,
-				read: true,
-				write: true,
-			},
-			native: {},
-		});
+		const rows = this.getConfiguredDevices();
+		if (rows.length === 0) {
+			this.log.error("No device is configured. Please add your Hailo Libero devices in the adapter settings.");
+		}
 
-		// Sensor distance
-		await this.setObjectNotExistsAsync("settings.distance", {
-			type: "state",
-			common: {
-				name: {
-					en: "Sensor distance",
-					de: "Sensorabstand",
-					ru: "Расстояние датчика",
-					pt: "Distância do sensor",
-					nl: "Sensorafstand",
-					fr: "Distance du capteur",
-					it: "Distanza sensore",
-					es: "Distancia del sensor",
-					pl: "Odległość czujnika",
-					uk: "Відстань датчика",
-					"zh-cn": "传感器距离"
-				},
-				type: "number",
-				role: "level",
-				min: 31,
-				max: 100,
-				unit: "mm",
-				read: true,
-				write: true,
-			},
-			native: {},
-		});
+		// Subscribe to state changes
+		this.subscribeStates("devices.*");
+		this.subscribeStates("settings.activeProfile");
 
-		// Ejection force
-		await this.setObjectNotExistsAsync("settings.ejectionForce", {
-			type: "state",
-			common: {
-				name: {
-					en: "Ejection force",
-					de: "Auswurfkraft",
-					ru: "Сила выброса",
-					pt: "Força de ejeção",
-					nl: "Uitwerpkracht",
-					fr: "Force d'éjection",
-					it: "Forza di espulsione",
-					es: "Fuerza de eyección",
-					pl: "Siła wyrzutu",
-					uk: "Сила викиду",
-					"zh-cn": "弹出力"
-				},
-				type: "number",
-				role: "level",
-				min: 1,
-				max: 10,
-				read: true,
-				write: true,
-			},
-			native: {},
-		});
+		if (this.config.mqttEnabled) {
+			this.startHomeAssistantBridge();
+		}
 
-		// Device info states
-		await this.setObjectNotExistsAsync("info.firmware", {
-			type: "state",
-			common: {
-				name: {
-					en: "Firmware version",
-					de: "Firmware-Version",
-					ru: "Версия прошивки",
-					pt: "Versão do firmware",
-					nl: "Firmwareversie",
-					fr: "Version du firmware",
-					it: "Versione firmware",
-					es: "Versión de firmware",
-					pl: "Wersja oprogramowania",
-					uk: "Версія прошивки",
-					"zh-cn": "固件版本"
-				},
-				type: "string",
-				role: "info.firmware",
-				read: true,
-				write: false,
-			},
-			native: {},
-		});
+		await this.syncDevices(rows);
 
-		await this.setObjectNotExistsAsync("info.model", {
-			type: "state",
-			common: {
-				name: {
-					en: "Device model",
-					de: "Gerätemodell",
-					ru: "Модель устройства",
-					pt: "Modelo do dispositivo",
-					nl: "Apparaatmodel",
-					fr: "Modèle d'appareil",
-					it: "Modello dispositivo",
-					es: "Modelo del dispositivo",
-					pl: "Model urządzenia",
-					uk: "Модель пристрою",
-					"zh-cn": "设备型号"
-				},
-				type: "string",
-				role: "info.name",
-				read: true,
-				write: false,
-			},
-			native: {},
-		});
+		// Daily and weekly usage counters start over at midnight
+		this.scheduleCounterReset();
+
+		await this.createProfileObjects();
+		await this.startScheduler();
 	}
 
 	/**
-	 * Connect to the Hailo Libero device
+	 * Read the device table from the instance configuration.
+	 * Falls back to the single-device settings of older versions.
+	 * @returns {DeviceConfig[]}
 	 */
-	async connectToDevice() {
-		try {
-			this.log.info("Connecting to Hailo Libero device...");
+	getConfiguredDevices() {
+		const { rows, legacy } = configuredDevices(this.config, (value) => this.decrypt(value));
+		if (legacy) {
+			this.log.info("Using the legacy single-device configuration. Please move it to the device table.");
+		}
+		return rows;
+	}
 
-			// Test connection first
-			const testResult = await this.client.testConnection();
-			if (!testResult.success) {
-				this.log.error(`Cannot reach device at ${this.config.deviceIp}:${this.config.devicePort}`);
-				await this.setState("info.connection", { val: false, ack: true });
-				this.scheduleReconnect();
-				return;
-			}
+	/**
+	 * Build a stable object id for a device row
+	 * @param {DeviceConfig} row
+	 * @param {Set<string>} usedIds - Ids already handed out, to avoid collisions
+	 * @returns {string}
+	 */
+	getDeviceId(row, usedIds) {
+		return deviceId(row, usedIds, this.FORBIDDEN_CHARS);
+	}
 
-			// Try to authenticate
-			const authSuccess = await this.client.authenticate();
-			if (!authSuccess) {
-				this.log.warn("Authentication failed or not required. Continuing without authentication.");
+	/**
+	 * Delete the flat info/control/settings states created by version 1.0.0
+	 */
+	async removeLegacyObjects() {
+		const legacyIds = [
+			"info.firmware",
+			"info.model",
+			"control.open",
+			"settings.ledBrightness",
+			"settings.distance",
+			"settings.ejectionForce",
+		];
+		for (const id of legacyIds) {
+			if (await this.getObjectAsync(id)) {
+				this.log.info(`Removing legacy object ${id}`);
+				await this.delObjectAsync(id);
 			}
+		}
+	}
 
-			this.isConnected = true;
-			await this.setState("info.connection", { val: true, ack: true });
-			this.log.info("Successfully connected to Hailo Libero device");
+	/**
+	 * Bring the running devices and the object tree in line with the device table.
+	 * Devices that did not change keep running, new rows are started
+	 * and objects of removed rows are deleted.
+	 * @param {DeviceConfig[]} rows
+	 */
+	async syncDevices(rows) {
+		/** @type {Map<string, DeviceConfig>} */
+		const wanted = new Map();
+		const usedIds = new Set();
+		for (const row of rows) {
+			wanted.set(this.getDeviceId(row, usedIds), row);
+		}
 
-			// Get initial device info
-			await this.updateDeviceInfo();
+		// Stop devices that were removed or changed
+		for (const [id, device] of this.devices) {
+			const row = wanted.get(id);
+			if (!row || JSON.stringify(row) !== JSON.stringify(device.config)) {
+				this.stopDevice(device);
+				this.devices.delete(id);
+			}
+		}
 
-			// Get initial status
-			await this.updateDeviceStatus();
+		// Delete object trees of devices that are no longer configured
+		const existing = await this.getDevicesAsync();
+		for (const obj of existing) {
+			const id = obj._id.substring(`${this.namespace}.devices.`.length);
+			if (obj._id.startsWith(`${this.namespace}.devices.`) && !wanted.has(id)) {
+				this.log.info(`Removing objects of device ${id}`);
+				await this.delObjectAsync(`devices.${id}`, { recursive: true });
+			}
+		}
 
-			// Start polling
-			this.startPolling();
-		} catch (error) {
-			this.log.error(`Error connecting to device: ${error.message}`);
-			await this.setState("info.connection", { val: false, ack: true });
-			this.scheduleReconnect();
+		for (const [id, row] of wanted) {
+			if (this.devices.has(id)) {
+				continue;
+			}
+			await this.createDeviceObjects(id, row);
+			if (row.enabled === false) {
+				this.log.info(`Device ${id} is disabled`);
+				await this.setState(`devices.${id}.info.connection`, { val: false, ack: true });
+				continue;
+			}
+			await this.startDevice(id, row);
 		}
+
+		await this.updateConnectionState();
 	}
 
 	/**
-	 * Update device information
+	 * Create the object tree of a device
+	 * @param {string} id
+	 * @param {DeviceConfig} row
 	 */
-	async updateDeviceInfo() {
-		try {
-			const deviceInfo = await this.client.getDeviceInfo();
-			if (deviceInfo) {
-				this.log.info("Found device info");
-				if (deviceInfo.info.firmware) {
-					this.log.info(`Device firmware version: ${deviceInfo.info.firmware}`);
-					await this.setState("info.firmware", { val: deviceInfo.info.firmware, ack: true });
-				}
-				if (deviceInfo.info.device) {
-					await this.setState("info.model", { val: deviceInfo.info.device, ack: true });
-				}
+	async createDeviceObjects(id, row) {
+		await this.setObjectNotExistsAsync("devices", {
+			type: "folder",
+			common: {
+				name: "Devices",
+			},
+			native: {},
+		});
+		await this.extendObjectAsync(
+			`devices.${id}`,
+			deviceObject(
+				row.name || row.ip,
+				{ ip: row.ip, port: row.port || 81 },
+				`${this.namespace}.devices.${id}.info.connection`,
+			),
+		);
+
+		for (const [key, obj] of Object.entries(deviceObjects)) {
+			const existing = await this.getObjectAsync(`devices.${id}.${key}`);
+			if (!existing) {
+				await this.setObjectAsync(`devices.${id}.${key}`, obj);
+				continue;
+			}
+			const role = obj.common && obj.common.role;
+			if (role && existing.common.role !== role) {
+				// Roles were changed for the type detector, keep the rest of the object
+				await this.extendObjectAsync(`devices.${id}.${key}`, { common: { role } });
 			}
-		} catch (error) {
-			this.log.debug(`Could not get device info: ${error.message}`);
 		}
 	}
 
 	/**
-	 * Update device status
+	 * Create the client of a device and connect to it
+	 * @param {string} id
+	 * @param {DeviceConfig} row
 	 */
-	async updateDeviceStatus() {
-		try {
-			const settings = await this.client.readSettings();
-			if (settings) {
-				if (settings.led !== undefined) {
-					await this.setState("settings.ledBrightness", { val: settings.led.value, ack: true });
-				}
-				if (settings.dist !== undefined) {
-					await this.setState("settings.distance", { val: settings.dist.value, ack: true });
-				}
-				if (settings.pwr !== undefined) {
-					await this.setState("settings.ejectionForce", { val: settings.pwr.value, ack: true });
-				}
-			}
-		} catch (error) {
-			this.log.debug(`Could not get device status: ${error.message}`);
-		}
+	async startDevice(id, row) {
+		const port = row.port || 81;
+		this.log.info(`Initializing device ${id} at ${row.ip}:${port}`);
+
+		/** @type {DeviceContext} */
+		const device = {
+			id,
+			name: row.name || row.ip,
+			config: row,
+			client: new HailoClient(row.ip, port, row.password || "hailo", this.log, {
+				offlineAfter: this.config.offlineAfterFailures || 3,
+			}),
+			pollTimeout: undefined,
+			lastActivity: 0,
+			pollMode: null,
+			events: [],
+			eventPollInterval: undefined,
+			eventPollBusy: false,
+			reconnectTimeout: undefined,
+			reconnectAttempts: 0,
+			pendingSettings: {},
+			pendingSources: {},
+			knownSettings: null,
+			expectedSettings: {},
+			historyWrite: Promise.resolve(),
+			settingsTimeout: undefined,
+			settingsBusy: false,
+			// Replaced by the inputs the device reports once connected
+			settingStates: new Map(Object.entries(SETTING_FIELDS).map(([stateName, field]) => [field, stateName])),
+			appliedProfile: null,
+			lock: null,
+			unlockTimeout: undefined,
+			lastOpenAt: 0,
+			openBusy: false,
+			openTimeout: undefined,
+			holdInterval: undefined,
+			busyUntil: 0,
+			protocolWarning: null,
+			isConnected: false,
+			restarting: false,
+			consecutiveFailures: 0,
+			lastAutoRestart: 0,
+		};
+		this.devices.set(id, device);
+		this.subscribeClient(device);
+		await this.restoreLock(device);
+
+		// Connect to device and start polling
+		this.connectToDevice(device);
 	}
 
 	/**
-	 * Start polling for device status
+	 * Stop polling and reconnecting of a device
+	 * @param {DeviceContext} device
 	 */
-	startPolling() {
-		if (this.pollInterval) {
-			this.clearInterval(this.pollInterval);
+	stopDevice(device) {
+		if (device.pollTimeout) {
+			this.clearTimeout(device.pollTimeout);
+			device.pollTimeout = undefined;
 		}
+		if (device.eventPollInterval) {
+			this.clearInterval(device.eventPollInterval);
+			device.eventPollInterval = undefined;
+		}
+		if (device.reconnectTimeout) {
+			this.clearTimeout(device.reconnectTimeout);
+			device.reconnectTimeout = undefined;
+		}
+		if (device.settingsTimeout) {
+			this.clearTimeout(device.settingsTimeout);
+			device.settingsTimeout = undefined;
+		}
+		if (device.unlockTimeout) {
+			this.clearTimeout(device.unlockTimeout);
+			device.unlockTimeout = undefined;
+		}
+		if (device.openTimeout) {
+			this.clearTimeout(device.openTimeout);
+			device.openTimeout = undefined;
+		}
+		this.stopOpenAndHold(device);
+		device.client.disconnect();
+		device.isConnected = false;
+	}
 
-		const interval = (this.config.pollInterval || 30) * 1000;
-
-		this.pollInterval = this.setInterval(async () => {
-			if (this.isConnected) {
-				await this.updateDeviceStatus();
+	/**
+	 * Map the events of the client of a device to its states. Events of a device that was
+	 * removed or restarted in the meantime are dropped.
+	 * @param {DeviceContext} device
+	 */
+	subscribeClient(device) {
+		/**
+		 * @param {string} event
+		 * @param {(...args: any[]) => Promise<void>} handler
+		 */
+		const on = (event, handler) =>
+			device.client.on(event, (...args) => {
+				if (this.isActive(device)) {
+					handler(...args).catch((error) =>
+						this.log.error(`Handling ${event} of ${device.id} failed: ${error.message}`),
+					);
+				}
+			});
+		on("connected", () => {
+			dashboard.recordEvent(device.events, "connected");
+			return this.handleConnected(device);
+		});
+		on("disconnected", (error) => {
+			dashboard.recordEvent(device.events, "disconnected", describeError(error));
+			return this.handleDisconnected(device, error);
+		});
+		on("infoChanged", (info, previous) => {
+			if (previous) {
+				this.boostPolling(device);
 			}
-		}, interval);
+			return this.publishSystemInfo(device, info);
+		});
+		on("settingsChanged", (settings, previous) => {
+			const changes = previous ? dashboard.describeSettingChanges(previous, settings) : "";
+			if (changes) {
+				dashboard.recordEvent(device.events, "settingsChanged", changes);
+			}
+			if (previous) {
+				this.boostPolling(device);
+			}
+			return this.publishSettings(device, settings);
+		});
+		on("opened", () => {
+			dashboard.recordEvent(device.events, "opened", device.client.info?.status || "");
+			return this.handleOpened(device);
+		});
+		on("error", (error) => {
+			dashboard.recordEvent(device.events, "error", describeError(error));
+			return this.recordError(device, error);
+		});
 	}
 
 	/**
-	 * Schedule reconnection attempt
+	 * The device accepted the PIN after it was offline
+	 * @param {DeviceContext} device
 	 */
-	scheduleReconnect() {
-		if (this.reconnectTimeout) {
-			this.clearTimeout(this.reconnectTimeout);
-		}
+	async handleConnected(device) {
+		device.reconnectAttempts = 0;
+		await this.setConnected(device, true);
+		await this.setDeviceState(device, "info.reconnectAttempts", 0);
+		this.log.info(`Successfully connected to Hailo Libero device ${device.id}`);
+	}
 
-		const reconnectDelay = 60000; // 1 minute
-		this.log.info(`Scheduling reconnection attempt in ${reconnectDelay / 1000} seconds`);
+	/**
+	 * Too many requests in a row failed: mark the device offline and let the reconnect handling take over
+	 * @param {DeviceContext} device
+	 * @param {Error} error - The last failure
+	 */
+	async handleDisconnected(device, error) {
+		if (!device.isConnected || device.restarting) {
+			return;
+		}
+		this.log.warn(`Device ${device.id} stopped answering (${describeError(error)}), marking it offline`);
+		await this.markOffline(device);
+	}
 
-		this.reconnectTimeout = this.setTimeout(async () => {
-			await this.connectToDevice();
-		}, reconnectDelay);
+	/**
+	 * Check whether a device context is still the running one for its id.
+	 * Pending connects of a removed or restarted device must not start new timers.
+	 * @param {DeviceContext} device
+	 * @returns {boolean}
+	 */
+	isActive(device) {
+		return this.devices.get(device.id) === device;
 	}
 
 	/**
-	 * Is called when adapter shuts down - callback has to be called under any circumstances!
-	 * @param {() => void} callback
+	 * Set a state below the object tree of a device
+	 * @param {DeviceContext} device
+	 * @param {string} stateName - Id relative to the device, e.g. "info.firmware"
+	 * @param {ioBroker.StateValue} val
 	 */
-	onUnload(callback) {
-		try {
-			this.log.info("Cleaning up and shutting down adapter...");
+	async setDeviceState(device, stateName, val) {
+		await this.setState(`devices.${device.id}.${stateName}`, { val, ack: true });
+	}
 
-			// Clear polling interval
-			if (this.pollInterval) {
-				this.clearInterval(this.pollInterval);
-				this.pollInterval = null;
-			}
+	/**
+	 * Update the connection state of a device and the instance connection indicator
+	 * @param {DeviceContext} device
+	 * @param {boolean} connected
+	 */
+	async setConnected(device, connected) {
+		device.isConnected = connected;
+		await this.setDeviceState(device, "info.connection", connected);
+		await this.updateConnectionState();
+		if (!connected) {
+			await this.publishPollMode(device, PollMode.OFFLINE);
+		}
+	}
 
-			// Clear reconnect timeout
-			if (this.reconnectTimeout) {
-				this.clearTimeout(this.reconnectTimeout);
-				this.reconnectTimeout = null;
-			}
+	/**
+	 * The instance is connected when every enabled device is connected
+	 */
+	async updateConnectionState() {
+		const devices = [...this.devices.values()];
+		const connected = devices.length > 0 && devices.every((device) => device.isConnected);
+		await this.setState("info.connection", { val: connected, ack: true });
+	}
 
-			// Set connection state to false
-			this.setState("info.connection", { val: false, ack: true })
-				.then(() => {
-					callback();
-				})
-				.catch(() => {
-					callback();
-				});
-		} catch (e) {
-			callback();
+	/**
+	 * Publish the last error of a device as "<class> (<code>): <message>"
+	 * @param {DeviceContext} device
+	 * @param {Error | null} error
+	 */
+	async recordError(device, error) {
+		if (error) {
+			await this.setDeviceState(device, "info.lastError", describeError(error));
 		}
 	}
 
 	/**
-	 * Is called if a subscribed state changes
-	 * @param {string} id
-	 * @param {ioBroker.State | null | undefined} state
+	 * React to the type of the error of a failed request, info.lastError is set by the error event of the client:
+	 * an AuthError logs in again, a DeviceBusyError pauses the status polls, a ProtocolError warns
+	 * about the firmware and a ValidationError needs nothing else, nothing was sent.
+	 * Connection and protocol errors count for the watchdog.
+	 * @param {DeviceContext} device
+	 * @param {any} error
+	 * @param {string} operation - Name of the failed operation, for the log and the watchdog
 	 */
-	async onStateChange(id, state) {
-		if (!state || state.ack) {
-			// Ignore acknowledged states or deleted states
+	async handleDeviceError(device, error, operation) {
+		if (error instanceof ValidationError) {
 			return;
 		}
+		if (error instanceof AuthError) {
+			await this.reauthenticate(device);
+			return;
+		}
+		if (error instanceof DeviceBusyError) {
+			const delay = Math.max(error.retryAfter, DEVICE_BUSY_DELAY);
+			device.busyUntil = Date.now() + delay;
+			this.log.info(`${device.id} is busy, pausing status polls for ${Math.round(delay / 1000)} seconds`);
+			return;
+		}
+		if (error instanceof ProtocolError) {
+			this.warnProtocol(device, error);
+		}
+		await this.recordFailure(device, operation);
+	}
 
-		// Only handle command states (ack=false)
-		const idParts = id.split(".");
-		const stateName = idParts.slice(2).join(".");
-
+	/**
+	 * Log in again after the device rejected the session. If the PIN is rejected too,
+	 * the device goes offline and the reconnect handling retries with backoff.
+	 * @param {DeviceContext} device
+	 */
+	async reauthenticate(device) {
+		device.client.invalidateSession();
 		try {
-			switch (stateName) {
-				case "control.open":
-					if (state.val) {
-						this.log.debug("Opening bin lid...");
-						const success = await this.client.openLid();
-						if (success) {
-							this.log.debug("Bin lid opened successfully");
-							// Reset button state
-							await this.setState("control.open", { val: false, ack: true });
-						} else {
-							this.log.error("Failed to open bin lid");
-						}
-					}
-					break;
+			await device.client.authenticate();
+			this.log.info(`Logged in to ${device.id} again`);
+		} catch (error) {
+			this.log.error(
+				error instanceof AuthError
+					? `${device.id} rejects the PIN, please check the PIN in the device table`
+					: `Login to ${device.id} failed: ${describeError(error)}`,
+			);
+			if (device.isConnected && !device.restarting) {
+				await this.markOffline(device);
+			}
+		}
+	}
 
-				case "settings.ledBrightness":
-				case "settings.ejectionForce":
-				case "settings.distance": {
-					if (!this.client) {
-						this.log.error("Client is not initialized");
-						return;
-					}
+	/**
+	 * Warn about answers that do not match the protocol of the firmware, once per firmware version
+	 * @param {DeviceContext} device
+	 * @param {ProtocolError} error
+	 */
+	warnProtocol(device, error) {
+		const firmware = device.client.firmware || "unknown";
+		if (device.protocolWarning === firmware) {
+			this.log.debug(`Unexpected answer of ${device.id}: ${error.message}`);
+			return;
+		}
+		device.protocolWarning = firmware;
+		this.log.warn(
+			`${device.id} does not answer as expected for firmware ${firmware} (${device.client.compatibility || "unknown"}): ` +
+				`${error.message}. Please report this together with the firmware version if it persists.`,
+		);
+	}
 
-					// Hole alle aktuellen Werte
-					const ledState = await this.getStateAsync("settings.ledBrightness");
-					const forceState = await this.getStateAsync("settings.ejectionForce");
-					const distanceState = await this.getStateAsync("settings.distance");
+	/**
+	 * Stop polling a device, mark it offline and let the reconnect handling take over
+	 * @param {DeviceContext} device
+	 */
+	async markOffline(device) {
+		this.stopDevice(device);
+		await this.setConnected(device, false);
+		this.scheduleReconnect(device);
+	}
 
-					// Bestimme welcher Wert geändert wurde und verwende die aktuellen Werte für die anderen
-					const ledValue = stateName === "settings.ledBrightness" ? Number(state.val) : (ledState?.val ? Number(ledState.val) : 5);
-					const forceValue = stateName === "settings.ejectionForce" ? Number(state.val) : (forceState?.val ? Number(forceState.val) : 5);
-					const distanceValue = stateName === "settings.distance" ? Number(state.val) : (distanceState?.val ? Number(distanceState.val) : 50);
+	/**
+	 * Publish the round trip time and the time of the last answer of a device
+	 * @param {DeviceContext} device
+	 */
+	async publishDiagnostics(device) {
+		if (device.client.lastSeen) {
+			await this.setDeviceState(device, "info.lastSeen", device.client.lastSeen);
+			await this.setDeviceState(device, "info.latency", device.client.lastLatency);
+		}
+	}
 
-					const success = await this.client.writeSettings({
-						led: ledValue,
-						pwr: forceValue,
-						dist: distanceValue
-					});
+	/**
+	 * Connect to the Hailo Libero device
+	 * @param {DeviceContext} device
+	 */
+	async connectToDevice(device) {
+		const { ip, port } = device.client;
+		try {
+			this.log.info(`Connecting to Hailo Libero device ${device.id}...`);
 
-					if (success) {
-						// Bestätige alle drei Werte
-						await this.setState("settings.ledBrightness", { val: ledValue, ack: true });
-						await this.setState("settings.ejectionForce", { val: forceValue, ack: true });
-						await this.setState("settings.distance", { val: distanceValue, ack: true });
-						this.log.debug("All settings updated successfully");
-					} else {
-						this.log.error("Failed to update settings");
-					}
-					break;
-				}
+			// Test connection first
+			const testResult = await device.client.testConnection();
+			if (!testResult.success) {
+				await this.handleConnectFailure(
+					device,
+					`Cannot reach device ${device.id} at ${ip}:${port}`,
+					device.client.lastError,
+				);
+				return;
+			}
 
-				default:
-					this.log.debug(`Unhandled state change: ${stateName}`);
+			// Try to authenticate
+			try {
+				await device.client.authenticate();
+			} catch (error) {
+				const hint = error instanceof AuthError ? ", please check the PIN in the device table" : "";
+				await this.handleConnectFailure(device, `Authentication with ${device.id} failed${hint}`, error);
+				return;
+			}
+
+			// The connected event of the client has marked the device online.
+			// Info, settings and network come from a single read of the homepage.
+			await this.updateDeviceInfo(device);
+			if (device.lock) {
+				await this.resumeLock(device);
 			}
+			this.applyActiveProfile(device);
+
+			// Start polling
+			this.startPolling(device);
 		} catch (error) {
-			this.log.error(`Error handling state change for ${stateName}: ${error.message}`);
+			this.log.error(`Error connecting to device ${device.id}: ${error.message}`);
+			device.client.disconnect();
+			await this.setConnected(device, false);
+			this.scheduleReconnect(device);
 		}
 	}
 
 	/**
-	 * Some message was sent to this instance over message box.
-	 * @param {ioBroker.Message} obj
+	 * Log why a connection attempt failed and try again later
+	 * @param {DeviceContext} device
+	 * @param {string} message
+	 * @param {Error | null} error
+	 */
+	async handleConnectFailure(device, message, error) {
+		this.log.error(error ? `${message} (${describeError(error)})` : message);
+		await this.setConnected(device, false);
+		this.scheduleReconnect(device);
+	}
+
+	/**
+	 * Read the homepage after connecting. Info and settings are published by the events of the client,
+	 * here the settings objects are synced with the form and the network states are set.
+	 * @param {DeviceContext} device
+	 */
+	async updateDeviceInfo(device) {
+		try {
+			const deviceInfo = await device.client.getDeviceInfo();
+			this.log.info(`Found device info for ${device.id}`);
+			if (deviceInfo.info.firmware) {
+				this.log.info(`Device ${device.id} firmware version: ${deviceInfo.info.firmware}`);
+			}
+			await this.syncSettingsObjects(device, deviceInfo.settings, deviceInfo.info.firmware || null);
+			// States of inputs that were unknown before the sync
+			await this.publishSettingValues(device, deviceInfo.settings);
+			await this.publishToHomeAssistant(device, deviceInfo);
+			if (deviceInfo.network) {
+				await this.updateNetworkStates(device, deviceInfo.network);
+			}
+			await this.publishDiagnostics(device);
+		} catch (error) {
+			this.log.debug(`Could not get device info of ${device.id}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Build the settings objects from the range inputs of the device homepage.
+	 * Known inputs get the limits the device reports, unknown inputs of newer firmware
+	 * get read-only states. Changes of the form since the last connect are logged.
+	 * @param {DeviceContext} device
+	 * @param {Record<string, any>} settings - Settings as parsed by parseSettingsAndInfoFromHtml
+	 * @param {string | null} firmware
+	 */
+	async syncSettingsObjects(device, settings, firmware) {
+		const form = settingsForm.getSettingsForm(settings);
+		if (Object.keys(form).length === 0) {
+			this.log.warn(`The homepage of ${device.id} has no settings, keeping the existing settings objects`);
+			return;
+		}
+
+		const deviceObj = await this.getObjectAsync(`devices.${device.id}`);
+		const previous = deviceObj?.native.settingsForm;
+		if (previous) {
+			const changes = settingsForm.diffSettingsForms(previous, form);
+			if (changes.length) {
+				this.log.warn(
+					`Settings form of ${device.id} changed (firmware ${deviceObj?.native.firmware || "unknown"} -> ${firmware || "unknown"}): ${changes.join(", ")}`,
+				);
+			}
+			// States of unmapped inputs that disappeared
+			for (const field of Object.keys(previous)) {
+				if (!form[field] && !settingsForm.isMappedField(field)) {
+					await this.delObjectAsync(`devices.${device.id}.${settingsForm.settingStateName(field)}`);
+				}
+			}
+		}
+
+		device.settingStates.clear();
+		for (const [field, limits] of Object.entries(form)) {
+			const stateName = settingsForm.settingStateName(field);
+			const id = `devices.${device.id}.${stateName}`;
+			device.settingStates.set(field, stateName);
+
+			if (!settingsForm.isMappedField(field)) {
+				if (!previous || !previous[field]) {
+					this.log.info(`${device.id} has an unknown setting "${field}", creating read-only state ${stateName}`);
+				}
+				await this.extendObjectAsync(id, settingsForm.unmappedSettingObject(field, limits));
+				continue;
+			}
+			const obj = await this.getObjectAsync(id);
+			if (obj && (obj.common.min !== limits.min || obj.common.max !== limits.max)) {
+				await this.extendObjectAsync(id, { common: { min: limits.min, max: limits.max } });
+			}
+		}
+
+		await this.extendObjectAsync(`devices.${device.id}`, { native: { settingsForm: form, firmware } });
+	}
+
+	/**
+	 * Publish the WiFi station configuration to the network.* states
+	 * @param {DeviceContext} device
+	 * @param {import("./lib/networkConfig").NetworkConfig} network
+	 */
+	async updateNetworkStates(device, network) {
+		await this.setDeviceState(device, "network.ssid", network.ssid || "");
+		await this.setDeviceState(device, "network.dhcp", network.dhcp !== false);
+		await this.setDeviceState(device, "network.ip", network.ip || "");
+		await this.setDeviceState(device, "network.subnet", network.subnet || "");
+		await this.setDeviceState(device, "network.gateway", network.gateway || "");
+	}
+
+	/**
+	 * Validate and send a new WiFi station configuration. If the device gets a new static address
+	 * and followIp is set, the device row in the instance config is updated, which restarts the
+	 * instance and reconnects to the new address.
+	 * @param {DeviceContext} device
+	 * @param {import("./lib/networkConfig").NetworkConfig} network
+	 * @param {{dryRun?: boolean, followIp?: boolean}} [options]
+	 * @returns {Promise<{success: boolean, errors: string[], warnings: string[], code?: string | null}>}
+	 */
+	async applyNetworkConfig(device, network, options = {}) {
+		const { dryRun = false, followIp = true } = options;
+		let current;
+		try {
+			current = await device.client.readNetworkConfig();
+		} catch (error) {
+			await this.handleDeviceError(device, error, "readNetworkConfig");
+			const message = `Cannot read the network config of ${device.id}: ${error.message}`;
+			return { success: false, errors: [message], warnings: [], code: error.code || null };
+		}
+		const merged = mergeNetworkConfig(current, network);
+
+		const errors = validateNetworkConfig(merged);
+		if (errors.length) {
+			return { success: false, errors, warnings: [], code: EINVAL };
+		}
+
+		const warnings = [];
+		const newIp = merged.dhcp === false ? merged.ip : undefined;
+		if (merged.dhcp !== false) {
+			warnings.push(
+				`Device ${device.id} uses DHCP and may get a new address. Update the device table if it is no longer reachable at ${device.config.ip}.`,
+			);
+		} else if (newIp !== device.config.ip) {
+			warnings.push(`Device ${device.id} will move from ${device.config.ip} to ${newIp}.`);
+		}
+		if (network.ssid !== undefined && network.ssid !== current.ssid && network.password === undefined) {
+			warnings.push("The SSID was changed without a WiFi password.");
+		}
+		for (const warning of warnings) {
+			this.log.warn(warning);
+		}
+
+		try {
+			await device.client.writeNetworkConfig(network, dryRun);
+		} catch (error) {
+			await this.handleDeviceError(device, error, "writeNetworkConfig");
+			const errors =
+				error instanceof ValidationError
+					? error.errors
+					: [`Device ${device.id} did not accept the network config: ${error.message}`];
+			return { success: false, errors, warnings, code: error.code || null };
+		}
+		if (dryRun) {
+			return { success: true, errors: [], warnings };
+		}
+
+		this.log.info(`Network config of ${device.id} changed`);
+		await this.setDeviceState(device, "network.password", "");
+		await this.setDeviceState(device, "network.ssid", merged.ssid || "");
+		await this.setDeviceState(device, "network.dhcp", merged.dhcp !== false);
+		await this.setDeviceState(device, "network.ip", merged.ip || "");
+		await this.setDeviceState(device, "network.subnet", merged.subnet || "");
+		await this.setDeviceState(device, "network.gateway", merged.gateway || "");
+
+		if (followIp && newIp && newIp !== device.config.ip) {
+			this.log.info(`Following device ${device.id} to its new address ${newIp}`);
+			await this.updateDeviceConfig(device, { ip: newIp });
+		}
+		return { success: true, errors: [], warnings };
+	}
+
+	/**
+	 * Change the device PIN, verify it by logging in with the new PIN and only then store it
+	 * in the instance config. Rolls back to the old PIN if verification or saving fails.
+	 * @param {DeviceContext} device
+	 * @param {string} newPin
+	 * @returns {Promise<import("./lib/pinChange").PinChangeResult>}
+	 */
+	async changeDevicePin(device, newPin) {
+		const result = await changePinVerified(device.client, newPin, async (pin) => {
+			const saved = await this.updateDeviceConfig(device, { password: this.encrypt(pin) }).catch((error) => {
+				this.log.error(`Saving the instance config failed: ${error.message}`);
+				return false;
+			});
+			if (saved) {
+				device.config.password = pin;
+			}
+			return saved;
+		});
+		if (result.success) {
+			this.log.info(`PIN of ${device.id} changed`);
+			return result;
+		}
+
+		this.log.error(`Changing the PIN of ${device.id} failed: ${result.error}`);
+		if (result.pin !== "old") {
+			// The device does not accept the PIN of the config any more
+			await this.recordError(device, new AuthError(result.error || ""));
+		}
+		return { ...result, error: `${device.id}: ${result.error}` };
+	}
+
+	/**
+	 * Change the row of a device in the instance config. Saving the config restarts the instance.
+	 * A legacy single-device config is converted into the device table on the way.
+	 * @param {DeviceContext} device
+	 * @param {Partial<DeviceConfig>} changes - Passwords must already be encrypted
+	 * @returns {Promise<boolean>} - Whether the row was found and saved
+	 */
+	async updateDeviceConfig(device, changes) {
+		const instanceId = `system.adapter.${this.namespace}`;
+		const obj = await this.getForeignObjectAsync(instanceId);
+		if (!obj) {
+			return false;
+		}
+
+		if (!Array.isArray(obj.native.devices) || obj.native.devices.length === 0) {
+			obj.native.devices = [{ ...device.config, password: this.encrypt(device.config.password || "hailo") }];
+		}
+
+		const usedIds = new Set();
+		const row = obj.native.devices
+			.filter((row) => row && row.ip)
+			.find((row) => this.getDeviceId(row, usedIds) === device.id);
+		if (!row) {
+			this.log.warn(`Device ${device.id} not found in the instance config`);
+			return false;
+		}
+
+		Object.assign(row, changes);
+		await this.setForeignObjectAsync(instanceId, obj);
+		return true;
+	}
+
+	/**
+	 * Poll the homepage. Changes of the settings and the system info are published by the events of the client,
+	 * failures in a row make the client emit disconnected.
+	 * @param {DeviceContext} device
+	 */
+	async updateDeviceStatus(device) {
+		try {
+			await device.client.getDeviceInfo();
+		} catch (error) {
+			this.log.debug(`Could not get status of ${device.id}: ${describeError(error)}`);
+			await this.handleDeviceError(device, error, "readSettings");
+			return;
+		}
+		await this.publishDiagnostics(device);
+		this.recordSuccess(device);
+	}
+
+	/**
+	 * Publish the settings of a read that differs from the previous one and record the changes
+	 * @param {DeviceContext} device
+	 * @param {Record<string, any>} settings - Settings as parsed by parseSettingsAndInfoFromHtml
+	 */
+	async publishSettings(device, settings) {
+		await this.trackSettings(device, settings);
+		await this.publishSettingValues(device, settings);
+		if (typeof settings.ipconf === "boolean") {
+			// ipconf "1" selects a static address, "0" DHCP
+			await this.setDeviceState(device, "info.dhcp", !settings.ipconf);
+		}
+	}
+
+	/**
+	 * Set the states of the range inputs of the settings form
+	 * @param {DeviceContext} device
+	 * @param {Record<string, any>} settings - Settings as parsed by parseSettingsAndInfoFromHtml
+	 */
+	async publishSettingValues(device, settings) {
+		for (const [field, stateName] of device.settingStates) {
+			if (settings[field] && Number.isFinite(settings[field].value)) {
+				await this.setDeviceState(device, stateName, settings[field].value);
+			}
+		}
+	}
+
+	/**
+	 * Compare the settings read from a device with the last read and record the changes in
+	 * events.settingsHistory. Changes made outside of ioBroker are also published in events.externalChange.
+	 * @param {DeviceContext} device
+	 * @param {Record<string, any>} settings - Settings as parsed by parseSettingsAndInfoFromHtml
+	 */
+	async trackSettings(device, settings) {
+		const { known, changes } = settingsHistory.diffSettings(device.knownSettings, settings, device.expectedSettings);
+		device.knownSettings = known;
+		if (!changes.length) {
+			return;
+		}
+
+		// The handlers of settingsChanged are not awaited by the client, so two quick changes would
+		// read the same history and the second write would drop the first
+		const write = device.historyWrite.then(() => this.appendSettingsHistory(device, changes));
+		device.historyWrite = write.catch(() => undefined);
+		await write;
+
+		const external = changes.filter((change) => change.external);
+		if (external.length) {
+			const summary = external.map((change) => `${change.field} ${change.from} -> ${change.to}`).join(", ");
+			this.log.info(`Settings of ${device.id} were changed outside of ioBroker: ${summary}`);
+			await this.setDeviceState(device, "events.externalChange", JSON.stringify(external));
+		}
+	}
+
+	/**
+	 * Append changes to events.settingsHistory. Only called through the historyWrite chain of the device.
+	 * @param {DeviceContext} device
+	 * @param {import("./lib/settingsHistory").SettingChange[]} changes
+	 */
+	async appendSettingsHistory(device, changes) {
+		const state = await this.getStateAsync(`devices.${device.id}.events.settingsHistory`);
+		let history = [];
+		try {
+			history = JSON.parse(String(state?.val || "[]"));
+		} catch (error) {
+			this.log.warn(`Settings history of ${device.id} is corrupt and started anew: ${error.message}`);
+		}
+		history = settingsHistory.appendHistory(history, changes, SETTINGS_HISTORY_SIZE);
+		await this.setDeviceState(device, "events.settingsHistory", JSON.stringify(history));
+	}
+
+	/**
+	 * Publish the system info block (spans t5-t10)
+	 * @param {DeviceContext} device
+	 * @param {Record<string, string | null>} info - Info as parsed by parseSettingsAndInfoFromHtml
+	 */
+	async publishSystemInfo(device, info) {
+		if (info.firmware) {
+			await this.setDeviceState(device, "info.firmware", info.firmware);
+		}
+		if (device.client.compatibility) {
+			await this.setDeviceState(device, "info.compatibility", device.client.compatibility);
+		}
+		if (info.device) {
+			await this.setDeviceState(device, "info.model", info.device);
+		}
+		if (info.status != null) {
+			await this.setDeviceState(device, "info.status", info.status);
+			await this.setDeviceState(device, "info.ready", HailoClient.isReadyStatus(info.status));
+		}
+		if (info.ssid != null) {
+			await this.setDeviceState(device, "info.ssid", info.ssid);
+		}
+		if (info.dhcp_ip != null) {
+			await this.setDeviceState(device, "info.ip", info.dhcp_ip);
+		}
+		if (info.dhcp_subnet != null) {
+			await this.setDeviceState(device, "info.subnet", info.dhcp_subnet);
+		}
+	}
+
+	/**
+	 * Start polling for device status
+	 * @param {DeviceContext} device
+	 */
+	startPolling(device) {
+		if (!this.isActive(device)) {
+			return;
+		}
+		this.scheduleNextPoll(device);
+
+		if (this.config.eventDetection) {
+			this.startEventDetection(device);
+		}
+	}
+
+	/**
+	 * Poll timing of the instance config
+	 * @returns {import("./lib/pollMode").PollConfig}
+	 */
+	getPollConfig() {
+		return {
+			interval: (this.config.pollInterval || 30) * 1000,
+			fastInterval: (this.config.fastPollInterval || 5) * 1000,
+			fastDuration: (this.config.fastPollDuration ?? 60) * 1000,
+			idleInterval: (this.config.idlePollInterval || 300) * 1000,
+			nightStart: this.config.nightStart,
+			nightEnd: this.config.nightEnd,
+		};
+	}
+
+	/**
+	 * (Re)schedule the next status poll with the interval of the current poll mode.
+	 * Offline devices are not polled, the reconnect backoff applies to them.
+	 * @param {DeviceContext} device
+	 */
+	scheduleNextPoll(device) {
+		if (device.pollTimeout) {
+			this.clearTimeout(device.pollTimeout);
+			device.pollTimeout = undefined;
+		}
+		const config = this.getPollConfig();
+		const mode = selectPollMode(device.isConnected, device.lastActivity, config, Date.now());
+		this.publishPollMode(device, mode).catch((error) =>
+			this.log.error(`Publishing the poll mode of ${device.id} failed: ${error.message}`),
+		);
+		const delay = pollDelay(mode, config);
+		if (delay === null) {
+			return;
+		}
+
+		device.pollTimeout = this.setTimeout(async () => {
+			device.pollTimeout = undefined;
+			if (device.isConnected && !device.restarting && Date.now() >= device.busyUntil) {
+				await this.updateDeviceStatus(device);
+			}
+			// Not if the device went offline or polling was restarted in the meantime
+			if (device.isConnected && !device.pollTimeout && this.isActive(device)) {
+				this.scheduleNextPoll(device);
+			}
+		}, delay);
+	}
+
+	/**
+	 * Poll fast for a while after a command or a detected change
+	 * @param {DeviceContext} device
+	 */
+	boostPolling(device) {
+		device.lastActivity = Date.now();
+		// A running poll schedules the next one itself
+		if (device.isConnected && device.pollTimeout && device.pollMode !== PollMode.FAST) {
+			this.scheduleNextPoll(device);
+		}
+	}
+
+	/**
+	 * Publish the poll mode of a device when it changed
+	 * @param {DeviceContext} device
+	 * @param {string} mode - One of PollMode
+	 */
+	async publishPollMode(device, mode) {
+		if (device.pollMode === mode) {
+			return;
+		}
+		device.pollMode = mode;
+		this.log.debug(`Poll mode of ${device.id}: ${mode}`);
+		await this.setDeviceState(device, "info.pollMode", mode);
+	}
+
+	/**
+	 * Read the device right away, or connect to it now if it is waiting for a reconnect attempt
+	 * @param {DeviceContext} device
+	 */
+	async refreshDevice(device) {
+		if (device.restarting) {
+			this.log.info(`${device.id} is restarting, refresh skipped`);
+			return;
+		}
+		if (device.isConnected) {
+			await this.updateDeviceStatus(device);
+			return;
+		}
+		if (!device.reconnectTimeout) {
+			this.log.debug(`Connecting to ${device.id} is in progress, refresh skipped`);
+			return;
+		}
+		this.log.info(`${device.id} is offline, trying to reconnect now`);
+		this.clearTimeout(device.reconnectTimeout);
+		device.reconnectTimeout = undefined;
+		await this.connectToDevice(device);
+	}
+
+	/**
+	 * Poll the homepage at a faster rate to catch openings by the hand sensor, the client emits them
+	 * @param {DeviceContext} device
+	 */
+	startEventDetection(device) {
+		if (device.eventPollInterval) {
+			this.clearInterval(device.eventPollInterval);
+		}
+
+		const interval = (this.config.eventPollInterval || 2) * 1000;
+
+		device.eventPollInterval = this.setInterval(async () => {
+			if (!device.isConnected || device.restarting || device.eventPollBusy || Date.now() < device.busyUntil) {
+				return;
+			}
+			device.eventPollBusy = true;
+			try {
+				await device.client.getDeviceInfo();
+			} catch (error) {
+				this.log.debug(`Event poll of ${device.id} failed: ${error.message}`);
+				if (error instanceof DeviceBusyError) {
+					await this.handleDeviceError(device, error, "event poll");
+				}
+			} finally {
+				device.eventPollBusy = false;
+			}
+		}, interval);
+	}
+
+	/**
+	 * The device leaves "Ready" while it ejects the door, so every opened event of the client is one opening.
+	 * Openings shortly after an open command of the adapter are not counted as usage of the hand sensor.
+	 * @param {DeviceContext} device
+	 */
+	async handleOpened(device) {
+		const source = usageStats.openingSource(device.lastOpenAt, Date.now());
+		this.log.debug(`Detected opening of ${device.id} by ${source} (status: ${device.client.info?.status})`);
+		await this.recordOpening(device, source);
+	}
+
+	/**
+	 * Count an opening, publish the timestamp and pulse events.opened
+	 * @param {DeviceContext} device
+	 * @param {string} source - One of OpeningSource
+	 */
+	async recordOpening(device, source) {
+		const now = Date.now();
+		const counters = await this.readUsageCounters(device);
+		const updated = usageStats.countOpening(counters.values, counters.lastOpened, now, source);
+
+		await this.setDeviceState(device, "events.lastOpened", now);
+		await this.setDeviceState(device, "events.openedBy", source);
+		await this.writeUsageCounters(device, updated);
+
+		await this.setDeviceState(device, "events.opened", true);
+		this.setTimeout(() => {
+			this.setDeviceState(device, "events.opened", false).catch(() => {});
+		}, OPENED_PULSE_DURATION);
+	}
+
+	/**
+	 * Read the persisted usage counters of a device
+	 * @param {DeviceContext} device
+	 * @returns {Promise<{values: import("./lib/usageStats").UsageCounters, lastOpened: number}>}
+	 */
+	async readUsageCounters(device) {
+		const prefix = `devices.${device.id}.events.`;
+		const [today, week, total, lastOpened] = await Promise.all(
+			["openedToday", "openedThisWeek", "openedTotal", "lastOpened"].map((name) =>
+				this.getStateAsync(prefix + name),
+			),
+		);
+		return {
+			values: {
+				today: Number(today?.val) || 0,
+				week: Number(week?.val) || 0,
+				total: Number(total?.val) || 0,
+			},
+			lastOpened: Number(lastOpened?.val) || 0,
+		};
+	}
+
+	/**
+	 * @param {DeviceContext} device
+	 * @param {import("./lib/usageStats").UsageCounters} counters
+	 */
+	async writeUsageCounters(device, counters) {
+		await this.setDeviceState(device, "events.openedToday", counters.today);
+		await this.setDeviceState(device, "events.openedThisWeek", counters.week);
+		await this.setDeviceState(device, "events.openedTotal", counters.total);
+	}
+
+	/**
+	 * Reset the daily and weekly counters of all devices at midnight
+	 */
+	scheduleCounterReset() {
+		this.counterResetTimeout = this.setTimeout(async () => {
+			const now = Date.now();
+			for (const device of this.devices.values()) {
+				try {
+					const counters = await this.readUsageCounters(device);
+					await this.writeUsageCounters(
+						device,
+						usageStats.rollCounters(counters.values, counters.lastOpened, now),
+					);
+				} catch (error) {
+					this.log.error(`Cannot reset the usage counters of ${device.id}: ${error.message}`);
+				}
+			}
+			// Also after an error, otherwise the counters are never reset again
+			this.scheduleCounterReset();
+		}, usageStats.msUntilMidnight(Date.now()) + 1000);
+	}
+
+	/**
+	 * Profiles of the instance configuration
+	 * @returns {import("./lib/schedule").Profile[]}
+	 */
+	getProfiles() {
+		/** @type {any} */
+		const config = this.config;
+		return (Array.isArray(config.profiles) ? config.profiles : []).filter((profile) => profile && profile.name);
+	}
+
+	/**
+	 * Create settings.activeProfile with the configured profiles as states
+	 */
+	async createProfileObjects() {
+		await this.setObjectNotExistsAsync("settings", {
+			type: "channel",
+			common: {
+				name: "Settings",
+			},
+			native: {},
+		});
+		await this.extendObjectAsync("settings.activeProfile", {
+			type: "state",
+			common: {
+				name: {
+					en: "Active settings profile",
+					de: "Aktives Einstellungsprofil",
+					ru: "Активный профиль настроек",
+					pt: "Perfil de configurações ativo",
+					nl: "Actief instellingenprofiel",
+					fr: "Profil de paramètres actif",
+					it: "Profilo di impostazioni attivo",
+					es: "Perfil de ajustes activo",
+					pl: "Aktywny profil ustawień",
+					uk: "Активний профіль налаштувань",
+					"zh-cn": "当前设置配置文件",
+				},
+				type: "string",
+				role: "text",
+				read: true,
+				write: true,
+				states: Object.fromEntries(this.getProfiles().map((profile) => [profile.name, profile.name])),
+			},
+			native: {},
+		});
+	}
+
+	/**
+	 * Apply the profile that is scheduled for now and wait for the next switch.
+	 * A profile chosen by hand after the last scheduled switch stays active.
+	 */
+	async startScheduler() {
+		/** @type {any} */
+		const config = this.config;
+		const rules = Array.isArray(config.schedules) ? config.schedules : [];
+		if (rules.some((rule) => rule && rule.enabled !== false && /^sun(rise|set)$/.test(rule.trigger))) {
+			this.location = await this.getSystemLocation();
+			if (!this.location) {
+				this.log.warn("Sunrise and sunset rules are skipped, please set the location in the system settings");
+			}
+		}
+
+		const state = await this.getStateAsync("settings.activeProfile");
+		const current = schedule.activeSwitch(rules, Date.now(), this.location);
+		this.lastSwitchAt = current ? current.at : 0;
+		if (state && state.val && (!current || state.ts > current.at)) {
+			// Set by hand or by the schedule before the last restart
+			this.activeProfile = String(state.val);
+		} else if (current) {
+			await this.activateProfile(current.profile, "schedule");
+		}
+
+		if (rules.length) {
+			this.scheduleNextSwitch(rules);
+		}
+	}
+
+	/**
+	 * Wait for the next switch of the schedule
+	 * @param {import("./lib/schedule").ScheduleRule[]} rules
+	 */
+	scheduleNextSwitch(rules) {
+		const next = schedule.nextSwitch(rules, Date.now(), this.location);
+		const wait = next ? Math.min(next.at - Date.now(), SCHEDULE_MAX_WAIT) : SCHEDULE_MAX_WAIT;
+		if (next) {
+			this.log.debug(`Next profile switch to "${next.profile}" at ${new Date(next.at).toLocaleString()}`);
+		}
+
+		this.scheduleTimeout = this.setTimeout(async () => {
+			this.scheduleTimeout = undefined;
+			try {
+				const due = schedule.activeSwitch(rules, Date.now(), this.location);
+				if (due && due.at > this.lastSwitchAt) {
+					// A scheduled switch ends a manual override
+					this.lastSwitchAt = due.at;
+					await this.activateProfile(due.profile, "schedule");
+				}
+			} catch (error) {
+				this.log.error(`Scheduled profile switch failed: ${error.message}`);
+			}
+			this.scheduleNextSwitch(rules);
+		}, Math.max(wait, 1000));
+	}
+
+	/**
+	 * Latitude and longitude from the system settings
+	 * @returns {Promise<import("./lib/schedule").Location | null>}
+	 */
+	async getSystemLocation() {
+		const obj = await this.getForeignObjectAsync("system.config");
+		const latitude = Number(obj?.common.latitude);
+		const longitude = Number(obj?.common.longitude);
+		return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+	}
+
+	/**
+	 * Make a profile the active one and send it to all connected devices
+	 * @param {string} name
+	 * @param {string} source - "schedule" or "manual", for the log
+	 * @returns {Promise<boolean>} - false if there is no such profile
+	 */
+	async activateProfile(name, source) {
+		const profile = this.getProfiles().find((candidate) => candidate.name === name);
+		if (!profile) {
+			this.log.warn(`Profile "${name}" is not configured`);
+			return false;
+		}
+
+		this.log.info(`Activating profile "${name}" (${source})`);
+		this.activeProfile = name;
+		await this.setState("settings.activeProfile", { val: name, ack: true });
+		for (const device of this.devices.values()) {
+			if (device.isConnected) {
+				this.applyProfile(device, profile);
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * Queue the settings of a profile for a device
+	 * @param {DeviceContext} device
+	 * @param {import("./lib/schedule").Profile} profile
+	 */
+	applyProfile(device, profile) {
+		device.appliedProfile = profile.name;
+		for (const [field, value] of Object.entries(schedule.profileSettings(profile))) {
+			this.queueSetting(device, field, value, `profile ${profile.name}`);
+		}
+	}
+
+	/**
+	 * Send the active profile to a device that missed it while it was offline
+	 * @param {DeviceContext} device
+	 */
+	applyActiveProfile(device) {
+		const profile = this.getProfiles().find((candidate) => candidate.name === this.activeProfile);
+		if (profile && device.appliedProfile !== profile.name) {
+			this.applyProfile(device, profile);
+		}
+	}
+
+	/**
+	 * Restart the device, wait until it is reachable again and resync it
+	 * @param {DeviceContext} device
+	 * @param {string} reason - Shown in the log
+	 * @returns {Promise<{success: boolean, error?: string, code?: string | null}>} - success if the device came back
+	 */
+	async restartDevice(device, reason) {
+		if (device.restarting) {
+			this.log.info(`Restart of ${device.id} is already in progress`);
+			return { success: false, error: `Restart of ${device.id} is already in progress`, code: EBUSY };
+		}
+
+		this.log.info(`Restarting device ${device.id} (${reason})`);
+		try {
+			await device.client.restart();
+		} catch (error) {
+			this.log.error(`Failed to send restart command to ${device.id}: ${describeError(error)}`);
+			return {
+				success: false,
+				error: `Restart of ${device.id} failed: ${error.message}`,
+				code: error.code || null,
+			};
+		}
+
+		device.restarting = true;
+		dashboard.recordEvent(device.events, "restart", reason);
+		this.stopDevice(device);
+		await this.setConnected(device, false);
+
+		try {
+			// Give the device time to go down before probing it
+			await this.delay(RESTART_SETTLE_TIME);
+			const deadline = Date.now() + RESTART_TIMEOUT;
+			while (this.isActive(device) && Date.now() < deadline) {
+				const result = await device.client.testConnection();
+				if (result.success) {
+					this.log.info(`Device ${device.id} is back after restart`);
+					device.restarting = false;
+					device.consecutiveFailures = 0;
+					// Re-authenticates and resyncs info and settings
+					await this.connectToDevice(device);
+					return { success: true };
+				}
+				await this.delay(RESTART_PROBE_INTERVAL);
+			}
+		} finally {
+			device.restarting = false;
+		}
+
+		const message = `Device ${device.id} did not come back within ${RESTART_TIMEOUT / 1000} seconds after restart`;
+		this.log.warn(message);
+		this.scheduleReconnect(device);
+		return { success: false, error: message, code: device.client.lastError?.code || null };
+	}
+
+	/**
+	 * Reset the watchdog counter after a successful command or poll
+	 * @param {DeviceContext} device
+	 */
+	recordSuccess(device) {
+		device.consecutiveFailures = 0;
+	}
+
+	/**
+	 * Count a failed command or poll. The watchdog only restarts the device if it still answers
+	 * on the network, otherwise the regular reconnect handling is responsible.
+	 * @param {DeviceContext} device
+	 * @param {string} operation - Name of the failed operation, for the log
+	 */
+	async recordFailure(device, operation) {
+		if (!this.config.watchdogEnabled || device.restarting) {
+			return;
+		}
+
+		const reachable = (await device.client.testConnection()).success;
+		if (!reachable) {
+			return;
+		}
+
+		device.consecutiveFailures++;
+		const maxFailures = this.config.watchdogFailures || 3;
+		this.log.debug(`${operation} failed on ${device.id} (${device.consecutiveFailures}/${maxFailures})`);
+		if (device.consecutiveFailures < maxFailures) {
+			return;
+		}
+
+		const cooldown = (this.config.watchdogCooldown || 30) * 60000;
+		if (Date.now() - device.lastAutoRestart < cooldown) {
+			this.log.debug(`Watchdog restart of ${device.id} suppressed, cooldown still running`);
+			return;
+		}
+
+		device.lastAutoRestart = Date.now();
+		const counter = await this.getStateAsync(`devices.${device.id}.info.autoRestarts`);
+		await this.setDeviceState(device, "info.autoRestarts", (Number(counter?.val) || 0) + 1);
+		this.log.warn(`Device ${device.id} failed ${device.consecutiveFailures} times in a row, restarting it`);
+		await this.restartDevice(device, "watchdog");
+	}
+
+	/**
+	 * Schedule reconnection attempt
+	 * @param {DeviceContext} device
+	 */
+	scheduleReconnect(device) {
+		if (!this.isActive(device)) {
+			return;
+		}
+		if (device.reconnectTimeout) {
+			this.clearTimeout(device.reconnectTimeout);
+		}
+
+		const delay = reconnectDelay(
+			device.reconnectAttempts,
+			(this.config.reconnectDelay || 10) * 1000,
+			(this.config.reconnectMaxDelay || 600) * 1000,
+		);
+		device.reconnectAttempts++;
+		this.setDeviceState(device, "info.reconnectAttempts", device.reconnectAttempts).catch(() => {});
+		this.log.info(`Scheduling reconnection attempt to ${device.id} in ${Math.round(delay / 1000)} seconds`);
+
+		device.reconnectTimeout = this.setTimeout(async () => {
+			device.reconnectTimeout = undefined;
+			try {
+				await this.connectToDevice(device);
+			} catch (error) {
+				this.log.error(`Reconnecting to ${device.id} failed: ${error.message}`);
+				if (!device.isConnected && !device.reconnectTimeout) {
+					this.scheduleReconnect(device);
+				}
+			}
+		}, delay);
+	}
+
+	/**
+	 * Is called when adapter shuts down - callback has to be called under any circumstances!
+	 * @param {() => void} callback
+	 */
+	onUnload(callback) {
+		try {
+			this.log.info("Cleaning up and shutting down adapter...");
+
+			// Clear polling intervals and reconnect timeouts
+			for (const device of this.devices.values()) {
+				this.stopDevice(device);
+			}
+			if (this.counterResetTimeout) {
+				this.clearTimeout(this.counterResetTimeout);
+				this.counterResetTimeout = undefined;
+			}
+			if (this.scheduleTimeout) {
+				this.clearTimeout(this.scheduleTimeout);
+				this.scheduleTimeout = undefined;
+			}
+			if (this.haBridge) {
+				this.haBridge.stop().catch(() => {});
+				this.haBridge = null;
+			}
+
+			// Set connection state to false
+			this.setState("info.connection", { val: false, ack: true })
+				.then(() => {
+					callback();
+				})
+				.catch(() => {
+					callback();
+				});
+		} catch (e) {
+			callback();
+		}
+	}
+
+	/**
+	 * Is called if a subscribed state changes
+	 * @param {string} id
+	 * @param {ioBroker.State | null | undefined} state
+	 */
+	async onStateChange(id, state) {
+		if (state && state.ack && this.haBridge) {
+			this.mirrorToHomeAssistant(id, state.val);
+		}
+		if (!state || state.ack) {
+			// Ignore acknowledged states or deleted states
+			return;
+		}
+
+		if (id === `${this.namespace}.settings.activeProfile`) {
+			// Stays active until the next scheduled switch
+			if (!(await this.activateProfile(String(state.val), "manual"))) {
+				await this.setState("settings.activeProfile", { val: this.activeProfile, ack: true });
+			}
+			return;
+		}
+
+		// Only handle command states (ack=false) below devices.<id>.
+		const idParts = id.split(".");
+		const device = this.devices.get(idParts[3]);
+		const stateName = idParts.slice(4).join(".");
+		if (idParts[2] !== "devices" || !device) {
+			this.log.debug(`State change for unknown or disabled device: ${id}`);
+			return;
+		}
+
+		await this.handleCommand(device, stateName, state.val, state.from || "unknown");
+	}
+
+	/**
+	 * Handle a command for a device, written to one of its states or received via MQTT
+	 * @param {DeviceContext} device
+	 * @param {string} stateName - State below devices.<id>, e.g. "control.open"
+	 * @param {ioBroker.StateValue} val
+	 * @param {string} source - Who sent the command, e.g. system.adapter.javascript.0
+	 */
+	async handleCommand(device, stateName, val, source) {
+		// Quick feedback on what the command changed
+		this.boostPolling(device);
+		try {
+			switch (stateName) {
+				case "control.open":
+					if (val) {
+						await this.requestOpen(device, source);
+					}
+					break;
+
+				case "control.openAndHold":
+					if (val) {
+						await this.startOpenAndHold(device, source);
+					} else {
+						this.stopOpenAndHold(device);
+						await this.setDeviceState(device, "control.openAndHold", false);
+					}
+					break;
+
+				case "control.locked":
+				case "control.unlocked":
+					// control.unlocked follows the switch.lock role: true = unlocked
+					if (!!val === (stateName === "control.locked")) {
+						const duration = await this.getStateAsync(`devices.${device.id}.control.lockDuration`);
+						await this.lockDevice(device, Number(duration?.val) || 0);
+					} else {
+						await this.unlockDevice(device);
+					}
+					break;
+
+				case "control.lockDuration":
+					await this.setDeviceState(device, "control.lockDuration", Math.max(0, Number(val) || 0));
+					break;
+
+				case "control.restart":
+					if (val) {
+						await this.setDeviceState(device, "control.restart", false);
+						await this.restartDevice(device, "requested by user");
+					}
+					break;
+
+				case "control.refresh":
+					if (val) {
+						await this.setDeviceState(device, "control.refresh", false);
+						await this.refreshDevice(device);
+					}
+					break;
+
+				case "network.ssid":
+				case "network.password":
+				case "network.dhcp":
+				case "network.ip":
+				case "network.subnet":
+				case "network.gateway":
+					// Collected until network.apply is pressed
+					this.log.debug(`Staged ${stateName} for ${device.id}, press network.apply to send it`);
+					break;
+
+				case "network.apply":
+					if (val) {
+						await this.setDeviceState(device, "network.apply", false);
+						const network = await this.getStagedNetworkConfig(device);
+						const result = await this.applyNetworkConfig(device, network);
+						if (!result.success) {
+							this.log.error(`Network config of ${device.id} not applied: ${result.errors.join(", ")}`);
+						}
+					}
+					break;
+
+				case "settings.ledBrightness":
+				case "settings.ejectionForce":
+				case "settings.distance":
+					this.queueSetting(device, SETTING_FIELDS[stateName], Number(val), source);
+					break;
+
+				default:
+					this.log.debug(`Unhandled state change: ${stateName}`);
+			}
+		} catch (error) {
+			this.log.error(`Error handling ${stateName} of ${device.id}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Collect a changed setting. Changes within the debounce window, e.g. while a slider is dragged,
+	 * are sent to the device in one request.
+	 * @param {DeviceContext} device
+	 * @param {string} field - Name of the range input, e.g. "led"
+	 * @param {number} value
+	 * @param {string} source - Who requested the change, recorded in the settings history
+	 */
+	queueSetting(device, field, value, source) {
+		if (device.lock && field in device.lock.values) {
+			// Restored on unlock instead
+			this.log.info(`${device.id} is locked, ${field} = ${value} is applied when it is unlocked`);
+			device.lock.settings[field] = value;
+			this.saveLock(device).catch((error) => this.log.error(`Saving the lock of ${device.id} failed: ${error.message}`));
+			return;
+		}
+		device.pendingSettings[field] = value;
+		device.pendingSources[field] = source;
+		this.scheduleSettingsWrite(device);
+	}
+
+	/**
+	 * (Re)start the debounce timer of the settings write
+	 * @param {DeviceContext} device
+	 */
+	scheduleSettingsWrite(device) {
+		if (device.settingsTimeout) {
+			this.clearTimeout(device.settingsTimeout);
+		}
+		device.settingsTimeout = this.setTimeout(async () => {
+			device.settingsTimeout = undefined;
+			if (device.settingsBusy) {
+				// Try again when the running write is done
+				this.scheduleSettingsWrite(device);
+				return;
+			}
+			device.settingsBusy = true;
+			try {
+				await this.writePendingSettings(device);
+			} catch (error) {
+				this.log.error(`Error writing settings of ${device.id}: ${error.message}`);
+			} finally {
+				device.settingsBusy = false;
+			}
+		}, SETTINGS_DEBOUNCE);
+	}
+
+	/**
+	 * Send the collected settings together with the current values of the others,
+	 * then read the homepage back and acknowledge what the device stored.
+	 * Values outside the range the device reports for an input are rejected.
+	 * @param {DeviceContext} device
+	 */
+	async writePendingSettings(device) {
+		const pending = device.pendingSettings;
+		const sources = device.pendingSources;
+		device.pendingSettings = {};
+		device.pendingSources = {};
+
+		let current;
+		try {
+			current = await device.client.readSettings();
+		} catch (error) {
+			this.log.error(`Cannot read the settings of ${device.id}, changes are not sent: ${describeError(error)}`);
+			await this.handleDeviceError(device, error, "readSettings");
+			return;
+		}
+
+		/** @type {Record<string, number>} */
+		const values = {};
+		for (const stateName of Object.keys(SETTING_FIELDS)) {
+			const field = SETTING_FIELDS[stateName];
+			const range = current[field];
+			if (!range) {
+				continue;
+			}
+			values[field] = range.value;
+			if (!(field in pending)) {
+				continue;
+			}
+			const value = pending[field];
+			if (!Number.isInteger(value) || value < range.min || value > range.max) {
+				const error = new ValidationError(
+					`${stateName} of ${device.id} must be an integer between ${range.min} and ${range.max}, ${value} rejected`,
+				);
+				this.log.warn(error.message);
+				await this.recordError(device, error);
+				delete pending[field];
+				await this.setDeviceState(device, stateName, range.value);
+				continue;
+			}
+			values[field] = value;
+		}
+		if (Object.keys(pending).length === 0) {
+			return;
+		}
+
+		for (const field of Object.keys(pending)) {
+			device.expectedSettings[field] = {
+				value: pending[field],
+				source: sources[field] || "unknown",
+				ts: Date.now(),
+			};
+		}
+		/** @type {Record<string, any> | null} */
+		let stored = null;
+		try {
+			await device.client.writeSettings(settingsForm.mergeSettingValues(current, values));
+			stored = await device.client.readSettings();
+		} catch (error) {
+			this.log.error(`Failed to update settings of ${device.id}: ${describeError(error)}`);
+			await this.handleDeviceError(device, error, "writeSettings");
+		}
+		// Acknowledge the values the device reports, so the states never show unconfirmed values
+		for (const stateName of Object.keys(SETTING_FIELDS)) {
+			const field = SETTING_FIELDS[stateName];
+			if (!(field in pending)) {
+				continue;
+			}
+			const confirmed = (stored || current)[field]?.value;
+			if (stored && confirmed !== pending[field]) {
+				this.log.warn(`${device.id} stored ${confirmed} instead of ${pending[field]} for ${stateName}`);
+			}
+			if (typeof confirmed === "number" && !Number.isNaN(confirmed)) {
+				await this.setDeviceState(device, stateName, confirmed);
+			}
+		}
+		if (stored) {
+			this.log.debug(`Settings of ${device.id} updated`);
+		}
+	}
+
+	/**
+	 * Write settings and read them back, the settingsChanged event of the client publishes what the device stored
+	 * @param {DeviceContext} device
+	 * @param {Record<string, number>} values - Values by range input name, the other inputs of the form are kept
+	 * @param {string} source - Who requested the change, recorded in the settings history
+	 * @returns {Promise<boolean>} - Whether the device stored all values, rejects if a request failed
+	 */
+	async writeVerifiedSettings(device, values, source) {
+		const current = await device.client.readSettings();
+		const merged = settingsForm.mergeSettingValues(current, values);
+		for (const [field, value] of Object.entries(values)) {
+			device.expectedSettings[field] = { value, source, ts: Date.now() };
+		}
+		await device.client.writeSettings(merged);
+		const stored = await device.client.readSettings();
+		return Object.keys(values).every((field) => stored[field]?.value === values[field]);
+	}
+
+	/**
+	 * Handle an open request. Requests within the minimum interval after the last opening are
+	 * merged into one delayed opening, so automations cannot hammer the motor.
+	 * @param {DeviceContext} device
+	 * @param {string} source - Who requested the opening, e.g. system.adapter.javascript.0
+	 */
+	async requestOpen(device, source) {
+		await this.setDeviceState(device, "control.lastOpenRequest", Date.now());
+		await this.setDeviceState(device, "control.openSource", source);
+
+		if (device.lock) {
+			this.log.warn(`Open request for ${device.id} from ${source} refused: the device is locked`);
+			await this.setDeviceState(device, "control.openResult", "refused");
+			await this.setDeviceState(device, "control.open", false);
+			return;
+		}
+		if (device.openBusy || device.openTimeout) {
+			// The button is reset when the pending opening is done
+			this.log.debug(`Open request for ${device.id} from ${source} merged with the pending one`);
+			return;
+		}
+
+		const wait = device.lastOpenAt + (this.config.minOpenInterval ?? 5) * 1000 - Date.now();
+		if (wait > 0) {
+			this.log.debug(`Opening ${device.id} in ${Math.ceil(wait / 1000)} seconds, minimum interval not over`);
+			device.openTimeout = this.setTimeout(async () => {
+				device.openTimeout = undefined;
+				await this.openNow(device).catch((error) =>
+					this.log.error(`Delayed opening of ${device.id} failed: ${error.message}`),
+				);
+			}, wait);
+			return;
+		}
+		await this.openNow(device);
+	}
+
+	/**
+	 * Send the open command and publish the result
+	 * @param {DeviceContext} device
+	 */
+	async openNow(device) {
+		if (device.lock) {
+			// Locked while the opening was delayed
+			await this.setDeviceState(device, "control.openResult", "refused");
+			await this.setDeviceState(device, "control.open", false);
+			return;
+		}
+
+		device.openBusy = true;
+		try {
+			this.log.debug(`Opening bin lid of ${device.id}...`);
+			await device.client.openLid();
+			device.lastOpenAt = Date.now();
+			await this.setDeviceState(device, "control.openResult", "ok");
+			this.log.debug(`Bin lid of ${device.id} opened successfully`);
+			this.recordSuccess(device);
+		} catch (error) {
+			device.lastOpenAt = Date.now();
+			this.log.error(`Failed to open bin lid of ${device.id}: ${describeError(error)}`);
+			if (device.holdInterval) {
+				// Do not keep sending open commands to a device that fails
+				this.log.warn(`Open and hold for ${device.id} stopped after the failed opening`);
+				this.stopOpenAndHold(device);
+				await this.setDeviceState(device, "control.openAndHold", false);
+			}
+			await this.setDeviceState(device, "control.openResult", "failed");
+			await this.handleDeviceError(device, error, "openLid");
+		} finally {
+			device.openBusy = false;
+			// Reset button state
+			await this.setDeviceState(device, "control.open", false);
+		}
+	}
+
+	/**
+	 * Eject repeatedly while control.openAndHold is true, e.g. to clean the cabinet
+	 * @param {DeviceContext} device
+	 * @param {string} source
+	 */
+	async startOpenAndHold(device, source) {
+		if (device.lock) {
+			this.log.warn(`Open and hold for ${device.id} refused: the device is locked`);
+			await this.setDeviceState(device, "control.openResult", "refused");
+			await this.setDeviceState(device, "control.openAndHold", false);
+			return;
+		}
+
+		this.stopOpenAndHold(device);
+		await this.setDeviceState(device, "control.openAndHold", true);
+		const interval = Math.max((this.config.minOpenInterval ?? 5) * 1000, OPEN_HOLD_INTERVAL);
+		device.holdInterval = this.setInterval(async () => {
+			try {
+				if (device.lock) {
+					this.stopOpenAndHold(device);
+					await this.setDeviceState(device, "control.openAndHold", false);
+					return;
+				}
+				await this.requestOpen(device, source);
+			} catch (error) {
+				this.log.error(`Open and hold for ${device.id} stopped: ${error.message}`);
+				this.stopOpenAndHold(device);
+				await this.setDeviceState(device, "control.openAndHold", false).catch(() => {});
+			}
+		}, interval);
+		await this.requestOpen(device, source);
+	}
+
+	/**
+	 * @param {DeviceContext} device
+	 */
+	stopOpenAndHold(device) {
+		if (device.holdInterval) {
+			this.clearInterval(device.holdInterval);
+			device.holdInterval = undefined;
+		}
+	}
+
+	/**
+	 * Lock a device: refuse open requests and write settings that keep the sensor from triggering.
+	 * The previous settings are saved in the device object and restored on unlock.
+	 * @param {DeviceContext} device
+	 * @param {number} minutes - Unlock automatically after this time, 0 for never
+	 * @returns {Promise<boolean>}
+	 */
+	async lockDevice(device, minutes) {
+		const until = minutes > 0 ? Date.now() + minutes * 60000 : 0;
+		if (device.lock) {
+			device.lock.until = until;
+		} else {
+			/** @type {DeviceLock} */
+			const lock = { settings: {}, values: {}, until };
+			let accepted = false;
+			try {
+				const current = await device.client.readSettings();
+				for (const [field, limit] of Object.entries(LOCK_SETTINGS)) {
+					if (current[field]) {
+						lock.settings[field] = current[field].value;
+						lock.values[field] = current[field][limit];
+					}
+				}
+				accepted = await this.writeVerifiedSettings(device, lock.values, "lock");
+			} catch (error) {
+				await this.handleDeviceError(device, error, "lock");
+			}
+			if (!accepted) {
+				this.log.error(`Cannot lock ${device.id}: the device did not accept the lock settings`);
+				await this.setLockStates(device, false);
+				return false;
+			}
+			device.lock = lock;
+		}
+
+		await this.saveLock(device);
+		await this.setLockStates(device, true);
+		if (device.holdInterval) {
+			this.stopOpenAndHold(device);
+			await this.setDeviceState(device, "control.openAndHold", false);
+		}
+		this.scheduleAutoUnlock(device);
+		this.log.info(`${device.id} locked${until ? ` until ${new Date(until).toLocaleString()}` : ""}`);
+		return true;
+	}
+
+	/**
+	 * Publish the lock in control.locked and in its inverse control.unlocked
+	 * @param {DeviceContext} device
+	 * @param {boolean} locked
+	 */
+	async setLockStates(device, locked) {
+		await this.setDeviceState(device, "control.locked", locked);
+		await this.setDeviceState(device, "control.unlocked", !locked);
+	}
+
+	/**
+	 * Restore the settings saved by the lock and accept open requests again
+	 * @param {DeviceContext} device
+	 * @returns {Promise<boolean>} - false if the settings could not be restored, the device stays locked then
+	 */
+	async unlockDevice(device) {
+		const lock = device.lock;
+		if (!lock) {
+			await this.setLockStates(device, false);
+			return true;
+		}
+		const restored = await this.writeVerifiedSettings(device, lock.settings, "unlock").catch(async (error) => {
+			await this.handleDeviceError(device, error, "unlock");
+			return false;
+		});
+		if (!restored) {
+			this.log.error(`Cannot unlock ${device.id}: the previous settings could not be restored, trying again on reconnect`);
+			await this.setLockStates(device, true);
+			return false;
+		}
+
+		device.lock = null;
+		if (device.unlockTimeout) {
+			this.clearTimeout(device.unlockTimeout);
+			device.unlockTimeout = undefined;
+		}
+		await this.saveLock(device);
+		await this.setLockStates(device, false);
+		this.log.info(`${device.id} unlocked`);
+		return true;
+	}
+
+	/**
+	 * Start the auto-unlock timer of a locked device
+	 * @param {DeviceContext} device
+	 */
+	scheduleAutoUnlock(device) {
+		if (device.unlockTimeout) {
+			this.clearTimeout(device.unlockTimeout);
+			device.unlockTimeout = undefined;
+		}
+		if (!device.lock || !device.lock.until) {
+			return;
+		}
+		device.unlockTimeout = this.setTimeout(
+			async () => {
+				device.unlockTimeout = undefined;
+				this.log.info(`Lock time of ${device.id} is over`);
+				await this.unlockDevice(device);
+			},
+			Math.max(device.lock.until - Date.now(), 0),
+		);
+	}
+
+	/**
+	 * Persist the lock of a device in the native part of its device object
+	 * @param {DeviceContext} device
+	 */
+	async saveLock(device) {
+		await this.extendObjectAsync(`devices.${device.id}`, { native: { lock: device.lock } });
+	}
+
+	/**
+	 * Load the lock of a device that was locked before the adapter restarted
+	 * @param {DeviceContext} device
+	 */
+	async restoreLock(device) {
+		const obj = await this.getObjectAsync(`devices.${device.id}`);
+		const lock = obj?.native.lock;
+		if (lock && lock.settings && lock.values) {
+			device.lock = lock;
+			this.log.info(`${device.id} is still locked`);
+		}
+		await this.setLockStates(device, !!device.lock);
+	}
+
+	/**
+	 * After a connect, make sure a locked device still has the lock settings,
+	 * e.g. after it was reset, and unlock it if the lock time ran out meanwhile
+	 * @param {DeviceContext} device
+	 */
+	async resumeLock(device) {
+		if (!device.lock) {
+			return;
+		}
+		if (device.lock.until && device.lock.until <= Date.now()) {
+			await this.unlockDevice(device);
+			return;
+		}
+		if (!(await this.writeVerifiedSettings(device, device.lock.values, "lock"))) {
+			this.log.warn(`Lock settings of ${device.id} could not be verified`);
+		}
+		this.scheduleAutoUnlock(device);
+	}
+
+	/**
+	 * Connect to the MQTT broker and publish the devices for Home Assistant.
+	 * Commands from Home Assistant take the same path as writes to the states.
+	 */
+	startHomeAssistantBridge() {
+		this.haBridge = new HomeAssistantBridge(
+			{
+				url: this.config.mqttUrl,
+				username: this.config.mqttUsername,
+				password: this.config.mqttPassword,
+				discoveryPrefix: this.config.mqttDiscoveryPrefix,
+				baseTopic: this.config.mqttBaseTopic,
+			},
+			async (deviceId, stateName, value) => {
+				const device = this.devices.get(deviceId);
+				if (device) {
+					await this.handleCommand(device, stateName, value, "mqtt");
+				}
+			},
+			this.log,
+		);
+		// The client keeps reconnecting in the background
+		this.haBridge.start().catch((error) => this.log.warn(`MQTT broker not reachable: ${error.message}`));
+	}
+
+	/**
+	 * Publish the discovery config of a device and the current values of its entities
+	 * @param {DeviceContext} device
+	 * @param {{settings: Record<string, any>, info: Record<string, any>}} data - As parsed by parseSettingsAndInfoFromHtml
+	 */
+	async publishToHomeAssistant(device, data) {
+		if (!this.haBridge) {
+			return;
+		}
+		this.haBridge.publishDevice({
+			id: device.id,
+			name: device.name,
+			model: data.info.device || undefined,
+			firmware: data.info.firmware || undefined,
+			ranges: settingsForm.getSettingsForm(data.settings),
+		});
+		for (const stateName of ["info.connection", ...Object.values(ENTITIES).map((entity) => entity.state)]) {
+			const state = await this.getStateAsync(`devices.${device.id}.${stateName}`);
+			if (state) {
+				this.haBridge.publishState(device.id, stateName, state.val);
+			}
+		}
+	}
+
+	/**
+	 * Mirror an acknowledged state of a device to MQTT
+	 * @param {string} id - Full state id
+	 * @param {ioBroker.StateValue} val
+	 */
+	mirrorToHomeAssistant(id, val) {
+		const idParts = id.split(".");
+		if (this.haBridge && idParts[2] === "devices" && this.devices.has(idParts[3])) {
+			this.haBridge.publishState(idParts[3], idParts.slice(4).join("."), val);
+		}
+	}
+
+	/**
+	 * Save the settings and the network config of a device in the file storage of the instance
+	 * @param {DeviceContext} device
+	 * @returns {Promise<{file: string, backup: import("./lib/backup").Backup}>} - Rejects if the device cannot be read
+	 */
+	async backupDevice(device) {
+		let data;
+		try {
+			data = await device.client.getDeviceInfo();
+		} catch (error) {
+			await this.handleDeviceError(device, error, "backup");
+			throw error;
+		}
+		const saved = backup.createBackup({ id: device.id, name: device.name }, data, data.network);
+		const file = backup.backupFileName(device.id);
+		await this.writeFileAsync(this.namespace, file, JSON.stringify(saved, null, 2));
+		this.log.info(`Backup of ${device.id} saved as ${file}`);
+		return { file, backup: saved };
+	}
+
+	/**
+	 * File names of the backups of a device, oldest first
+	 * @param {string} deviceId
+	 * @returns {Promise<string[]>}
+	 */
+	async listBackups(deviceId) {
+		try {
+			const entries = await this.readDirAsync(this.namespace, `backups/${deviceId}`);
+			return entries
+				.filter((entry) => !entry.isDir && entry.file.endsWith(".json"))
+				.map((entry) => entry.file)
+				.sort();
+		} catch (error) {
+			this.log.debug(`No backups of ${deviceId}: ${error.message}`);
+			return [];
+		}
+	}
+
+	/**
+	 * Read a backup of a device
+	 * @param {string} deviceId
+	 * @param {string} [file] - File name as returned by listBackups, the latest backup if empty
+	 * @returns {Promise<import("./lib/backup").Backup>}
+	 */
+	async readBackup(deviceId, file) {
+		if ([deviceId, file].some((name) => name && /[\\/]|\.\./.test(name))) {
+			throw new Error("Invalid backup name");
+		}
+		if (!file) {
+			const files = await this.listBackups(deviceId);
+			if (!files.length) {
+				throw new Error(`No backup of ${deviceId} found`);
+			}
+			file = files[files.length - 1];
+		}
+		const { file: content } = await this.readFileAsync(this.namespace, `backups/${deviceId}/${file}`);
+		return backup.parseBackup(String(content));
+	}
+
+	/**
+	 * Write the settings of a backup to a device. The backup may come from another device,
+	 * its network config is only restored to the device it was taken from.
+	 * @param {DeviceContext} device
+	 * @param {import("./lib/backup").Backup} saved
+	 * @param {{dryRun?: boolean, network?: boolean}} [options]
+	 * @returns {Promise<{success: boolean, changes: {field: string, from: number, to: number}[], skipped: string[], errors: string[], code?: string | null}>}
+	 */
+	async restoreDevice(device, saved, options = {}) {
+		const { dryRun = false, network = false } = options;
+		let current;
+		try {
+			current = await device.client.readSettings();
+		} catch (error) {
+			await this.handleDeviceError(device, error, "readSettings");
+			const errors = [`Cannot read the settings of ${device.id}: ${error.message}`];
+			return { success: false, changes: [], skipped: [], errors, code: error.code || null };
+		}
+		const plan = backup.planRestore(saved, current);
+		if (plan.errors.length) {
+			return { success: false, ...plan, code: EINVAL };
+		}
+
+		if (dryRun) {
+			try {
+				await device.client.writeSettings(plan.values, true);
+			} catch (error) {
+				return { success: false, ...plan, errors: [error.message], code: error.code || null };
+			}
+			return { success: true, ...plan };
+		}
+
+		// Settings the lock overrides are applied on unlock, like changes of the states
+		if (device.lock) {
+			for (const field of Object.keys(plan.values)) {
+				if (field in device.lock.values) {
+					device.lock.settings[field] = plan.values[field];
+					delete plan.values[field];
+				}
+			}
+			await this.saveLock(device);
+		}
+		const source = `backup ${saved.device.id}`;
+		if (Object.keys(plan.values).length) {
+			let code = null;
+			const stored = await this.writeVerifiedSettings(device, plan.values, source).catch(async (error) => {
+				await this.handleDeviceError(device, error, "restore");
+				code = error.code || null;
+				return false;
+			});
+			if (!stored) {
+				return { success: false, ...plan, errors: [`Device ${device.id} did not store all settings`], code };
+			}
+		}
+
+		if (network && saved.network) {
+			if (saved.device.id !== device.id) {
+				plan.skipped.push("network");
+			} else {
+				const result = await this.applyNetworkConfig(device, saved.network);
+				if (!result.success) {
+					return { success: false, ...plan, errors: result.errors, code: result.code };
+				}
+			}
+		}
+		this.log.info(`Backup of ${saved.device.id} from ${saved.created} restored to ${device.id}`);
+		return { success: true, ...plan };
+	}
+
+	/**
+	 * Collect the values of the network.* states
+	 * @param {DeviceContext} device
+	 * @returns {Promise<import("./lib/networkConfig").NetworkConfig>}
+	 */
+	async getStagedNetworkConfig(device) {
+		const prefix = `devices.${device.id}.network.`;
+		const [ssid, password, dhcp, ip, subnet, gateway] = await Promise.all(
+			["ssid", "password", "dhcp", "ip", "subnet", "gateway"].map((name) => this.getStateAsync(prefix + name)),
+		);
+		return {
+			ssid: ssid ? String(ssid.val ?? "") : undefined,
+			password: password && password.val ? String(password.val) : undefined,
+			dhcp: dhcp ? Boolean(dhcp.val) : undefined,
+			ip: ip ? String(ip.val ?? "") : undefined,
+			subnet: subnet ? String(subnet.val ?? "") : undefined,
+			gateway: gateway ? String(gateway.val ?? "") : undefined,
+		};
+	}
+
+	/**
+	 * Resolve the target device of a message. The device can be given by id, by name or by IP address
+	 * and may be omitted when only one device is running.
+	 * @param {any} message
+	 * @returns {DeviceContext | undefined}
+	 */
+	getDeviceForMessage(message) {
+		const key = typeof message === "string" ? message : message && message.device;
+		if (!key) {
+			return this.devices.size === 1 ? [...this.devices.values()][0] : undefined;
+		}
+		return (
+			this.devices.get(key) ||
+			[...this.devices.values()].find((device) => device.name === key || device.config.ip === key)
+		);
+	}
+
+	/**
+	 * Answer a message with an error. The code of the error that caused it (e.g. EAUTH, ETIMEDOUT, EINVAL)
+	 * is passed on, so scripts can react to it.
+	 * @param {ioBroker.Message} obj
+	 * @param {string} message
+	 * @param {any} [error]
+	 */
+	replyError(obj, message, error) {
+		this.sendTo(
+			obj.from,
+			obj.command,
+			{ error: message, code: (error && error.code) || null, success: false },
+			obj.callback,
+		);
+	}
+
+	/**
+	 * Run an action of the dashboard tab of the instance config and answer with the form values of the device
+	 * @param {DeviceContext} device
+	 * @param {any} message - action: refresh (default), open, restart or settings with led, pwr and dist
+	 * @param {string} from - Sender of the message, recorded as source of opens and setting changes
+	 * @returns {Promise<Record<string, any>>} - Response of the message
+	 */
+	async runDashboardAction(device, message, from) {
+		let result;
+		switch (message.action || "refresh") {
+			case "refresh":
+				await this.refreshDevice(device);
+				result = `${device.id} refreshed`;
+				break;
+
+			case "open":
+				this.boostPolling(device);
+				await this.requestOpen(device, from);
+				result = `Open request for ${device.id} sent`;
+				break;
+
+			case "restart": {
+				const restarted = await this.restartDevice(device, "requested on the dashboard");
+				if (!restarted.success) {
+					return { error: restarted.error, code: restarted.code || null, success: false };
+				}
+				result = `Device ${device.id} restarted`;
+				break;
+			}
+
+			case "settings": {
+				const plan = dashboard.planSettings(message, device.client.settings);
+				if (plan.errors.length) {
+					return { error: plan.errors.join(", "), code: EINVAL, success: false };
+				}
+				// Settings the lock overrides are applied on unlock, like changes of the states
+				if (device.lock) {
+					for (const field of Object.keys(plan.values)) {
+						if (field in device.lock.values) {
+							device.lock.settings[field] = plan.values[field];
+							delete plan.values[field];
+						}
+					}
+					await this.saveLock(device);
+				}
+				if (Object.keys(plan.values).length) {
+					this.boostPolling(device);
+					const stored = await this.writeVerifiedSettings(device, plan.values, from).catch(async (error) => {
+						await this.handleDeviceError(device, error, "dashboard");
+						throw error;
+					});
+					if (!stored) {
+						return { error: `${device.id} did not store all values`, code: EINVAL, success: false };
+					}
+				}
+				result = `Settings of ${device.id} applied`;
+				break;
+			}
+
+			default:
+				return { error: `Unknown action ${message.action}`, code: EINVAL, success: false };
+		}
+
+		const native = dashboard.dashboardNative({
+			id: device.id,
+			connected: device.isConnected,
+			restarting: device.restarting,
+			pollMode: device.pollMode,
+			info: device.client.info,
+			settings: device.client.settings,
+			events: device.events,
+		});
+		return { result, native, success: true };
+	}
+
+	/**
+	 * Some message was sent to this instance over message box.
+	 * @param {ioBroker.Message} obj
 	 */
 	async onMessage(obj) {
 		if (typeof obj === "object" && obj.message) {
 			switch (obj.command) {
 				case "testConnection":
 					try {
-						const { ip, port, password } = obj.message;
+						const { ip, port, password, devices } = obj.message;
+
+						// The admin page sends the whole device table
+						if (Array.isArray(devices)) {
+							const lines = [];
+							for (const row of devices.filter((row) => row && row.ip)) {
+								const testClient = new HailoClient(row.ip, row.port || 81, row.password || "hailo", this.log);
+								const result = await testClient.testConnection();
+								lines.push(`${row.name || row.ip}: ${result.success ? "OK" : result.message}`);
+							}
+							if (lines.length === 0) {
+								this.sendTo(obj.from, obj.command, { error: "No device with an IP address configured" }, obj.callback);
+								return;
+							}
+							this.sendTo(obj.from, obj.command, { result: lines.join("\n"), success: true }, obj.callback);
+							return;
+						}
 
 						if (!ip) {
 							this.sendTo(obj.from, obj.command, { error: "IP address is required" }, obj.callback);
@@ -492,29 +2490,227 @@ class HailoLibero extends utils.Adapter {
 								obj.callback,
 							);
 						} else {
-							this.sendTo(
-								obj.from,
-								obj.command,
-								{
-									error: `Connection failed: ${result.message}`,
-									success: false,
-								},
-								obj.callback,
-							);
+							this.replyError(obj, `Connection failed: ${result.message}`, result);
 						}
 					} catch (error) {
+						this.replyError(obj, `Connection test failed: ${error.message}`, error);
+					}
+					break;
+
+				case "restart": {
+					const device = this.getDeviceForMessage(obj.message);
+					if (!device) {
+						this.sendTo(obj.from, obj.command, { error: "Unknown device", success: false }, obj.callback);
+						return;
+					}
+					const result = await this.restartDevice(device, "requested via message");
+					if (result.success) {
+						this.sendTo(
+							obj.from,
+							obj.command,
+							{ result: `Device ${device.id} restarted`, success: true },
+							obj.callback,
+						);
+					} else {
+						this.replyError(obj, result.error || `Restart of ${device.id} failed`, result);
+					}
+					break;
+				}
+
+				case "getNetwork": {
+					const device = this.getDeviceForMessage(obj.message);
+					if (!device) {
+						this.sendTo(obj.from, obj.command, { error: "Unknown device", success: false }, obj.callback);
+						return;
+					}
+					try {
+						const network = await device.client.readNetworkConfig();
+						this.sendTo(obj.from, obj.command, { result: network, success: true }, obj.callback);
+					} catch (error) {
+						this.replyError(obj, `Could not read network config of ${device.id}: ${error.message}`, error);
+					}
+					break;
+				}
+
+				case "setNetwork": {
+					const device = this.getDeviceForMessage(obj.message);
+					if (!device) {
+						this.sendTo(obj.from, obj.command, { error: "Unknown device", success: false }, obj.callback);
+						return;
+					}
+					const { ssid, password, dhcp, ip, subnet, gateway, dryRun, followIp } = obj.message;
+					const result = await this.applyNetworkConfig(
+						device,
+						{ ssid, password, dhcp, ip, subnet, gateway },
+						{ dryRun: !!dryRun, followIp: followIp !== false },
+					);
+					this.sendTo(
+						obj.from,
+						obj.command,
+						result.success
+							? { result: dryRun ? "Network config is valid" : "Network config applied", ...result }
+							: { error: result.errors.join(", "), ...result },
+						obj.callback,
+					);
+					break;
+				}
+
+				case "changePin": {
+					const device = this.getDeviceForMessage(obj.message);
+					if (!device) {
+						this.sendTo(obj.from, obj.command, { error: "Unknown device", success: false }, obj.callback);
+						return;
+					}
+					const result = await this.changeDevicePin(device, obj.message.newPin);
+					this.sendTo(
+						obj.from,
+						obj.command,
+						result.success ? { result: `PIN of ${device.id} changed`, success: true } : result,
+						obj.callback,
+					);
+					break;
+				}
+
+				case "backup": {
+					const device = this.getDeviceForMessage(obj.message);
+					if (!device) {
+						this.sendTo(obj.from, obj.command, { error: "Unknown device", success: false }, obj.callback);
+						return;
+					}
+					try {
+						const saved = await this.backupDevice(device);
 						this.sendTo(
 							obj.from,
 							obj.command,
-							{
-								error: `Connection test failed: ${error.message}`,
-								success: false,
-							},
+							{ result: `Backup of ${device.id} saved as ${saved.file}`, ...saved, success: true },
 							obj.callback,
 						);
+					} catch (error) {
+						this.replyError(obj, `Could not back up ${device.id}: ${error.message}`, error);
+					}
+					break;
+				}
+
+				case "listBackups": {
+					const device = this.getDeviceForMessage(obj.message);
+					if (!device) {
+						this.sendTo(obj.from, obj.command, { error: "Unknown device", success: false }, obj.callback);
+						return;
+					}
+					const files = await this.listBackups(device.id);
+					this.sendTo(
+						obj.from,
+						obj.command,
+						{ result: files.length ? files.join("\n") : "No backups", backups: files, success: true },
+						obj.callback,
+					);
+					break;
+				}
+
+				case "restore": {
+					const device = this.getDeviceForMessage(obj.message);
+					if (!device) {
+						this.sendTo(obj.from, obj.command, { error: "Unknown device", success: false }, obj.callback);
+						return;
+					}
+					const { file, from, dryRun, network } = obj.message;
+					try {
+						// Clone the settings of another device if "from" is given
+						const source = (from && this.getDeviceForMessage({ device: from })?.id) || from || device.id;
+						const saved = await this.readBackup(source, file);
+						const result = await this.restoreDevice(device, saved, { dryRun: !!dryRun, network: !!network });
+						const changes = result.changes.map((change) => `${change.field}: ${change.from} -> ${change.to}`);
+						const summary = `${dryRun ? "Would change" : "Changed"} ${changes.length ? changes.join(", ") : "nothing"}`;
+						const response = result.success
+							? { result: summary, ...result }
+							: { error: result.errors.join(", "), ...result };
+						this.sendTo(obj.from, obj.command, response, obj.callback);
+					} catch (error) {
+						this.replyError(obj, `Restore failed: ${error.message}`, error);
+					}
+					break;
+				}
+
+				case "listDevices": {
+					// Options of the device selection on the dashboard tab
+					const options = [...this.devices.values()].map((device) => ({
+						label: `${device.name} (${device.config.ip})`,
+						value: device.id,
+					}));
+					this.sendTo(obj.from, obj.command, options, obj.callback);
+					break;
+				}
+
+				case "dashboard": {
+					const device = this.getDeviceForMessage(obj.message);
+					if (!device) {
+						this.sendTo(obj.from, obj.command, { error: "Unknown device", success: false }, obj.callback);
+						return;
+					}
+					try {
+						const response = await this.runDashboardAction(device, obj.message, obj.from);
+						this.sendTo(obj.from, obj.command, response, obj.callback);
+					} catch (error) {
+						this.replyError(obj, `Dashboard action on ${device.id} failed: ${error.message}`, error);
+					}
+					break;
+				}
+
+				case "discover":
+					try {
+						const { port, hosts, password, devices } = obj.message;
+						this.log.info("Searching for Hailo Libero devices...");
+						const found = await discover({
+							port: Number(port) || this.config.discoveryPort || 81,
+							hosts: Array.isArray(hosts) && hosts.length ? hosts : undefined,
+							password: password || "hailo",
+						});
+						this.log.info(`Found ${found.length} Hailo Libero device(s)`);
+
+						/** @type {Record<string, any>} */
+						const response = {
+							result: found.length
+								? found
+									.map((d) => `${d.ip}: ${d.authenticated ? `${d.model} (${d.firmware})` : "PIN required"}`)
+									.join("\n")
+								: "No devices found",
+							devices: found,
+							success: true,
+						};
+
+						// Called from the admin page: list the devices that are not in the table yet
+						if (Array.isArray(devices)) {
+							response.native = { _discovered: discoveryRows(found, devices) };
+						}
+						this.sendTo(obj.from, obj.command, response, obj.callback);
+					} catch (error) {
+						this.replyError(obj, `Discovery failed: ${error.message}`, error);
 					}
 					break;
 
+				case "addDiscovered": {
+					// Add the selected search results to the device table of the admin page, saved with the config
+					const { devices, discovered, password } = obj.message;
+					const result = addDiscoveredDevices(
+						Array.isArray(devices) ? devices : [],
+						Array.isArray(discovered) ? discovered : [],
+						password || "hailo",
+					);
+					this.sendTo(
+						obj.from,
+						obj.command,
+						{
+							result: result.added
+								? `Added ${result.added} device(s), save the configuration to start them`
+								: "No device selected",
+							native: { devices: result.devices, _discovered: result.discovered },
+							success: true,
+						},
+						obj.callback,
+					);
+					break;
+				}
+
 				default:
 					this.log.warn(`Unknown command: ${obj.command}`);
 					if (obj.callback) {
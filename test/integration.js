@@ -1,5 +1,164 @@
 const path = require("path");
+const { expect } = require("chai");
 const { tests } = require("@iobroker/testing");
+const LiberoSimulator = require("../lib/simulator");
+
+/**
+ * Poll a state until it matches or the timeout expires
+ * @param {any} harness
+ * @param {string} id
+ * @param {(state: ioBroker.State) => boolean} predicate
+ * @param {number} [timeout]
+ * @returns {Promise<ioBroker.State>}
+ */
+async function waitForState(harness, id, predicate, timeout = 20000) {
+	const deadline = Date.now() + timeout;
+	while (Date.now() < deadline) {
+		const state = await harness.states.getStateAsync(id);
+		if (state && predicate(state)) {
+			return state;
+		}
+		await new Promise((resolve) => setTimeout(resolve, 250));
+	}
+	throw new Error(`State ${id} did not reach the expected value within ${timeout} ms`);
+}
 
 // Run integration tests - See https://github.com/ioBroker/testing for a detailed explanation and further options
-tests.integration(path.join(__dirname, ".."));
+tests.integration(path.join(__dirname, ".."), {
+	defineAdditionalTests({ suite }) {
+		suite("Against the Libero simulator", (getHarness) => {
+			const simulator = new LiberoSimulator({ restartDuration: 500, openDuration: 500 });
+			const prefix = "hailo-libero.0.devices.kitchen.";
+			let harness;
+
+			before(async () => {
+				harness = getHarness();
+				const port = await simulator.start();
+				await harness.changeAdapterConfig("hailo-libero", {
+					native: {
+						devices: [{ enabled: true, name: "Kitchen", ip: "127.0.0.1", port, password: "" }],
+						pollInterval: 5,
+					},
+				});
+				await harness.startAdapterAndWait();
+			});
+
+			after(() => simulator.stop());
+
+			it("should publish info and settings of the device", async () => {
+				await waitForState(harness, `${prefix}info.connection`, (state) => state.val === true);
+				const firmware = await waitForState(harness, `${prefix}info.firmware`, (state) => !!state.val);
+				expect(firmware.val).to.equal("3.0.4");
+				const led = await waitForState(harness, `${prefix}settings.ledBrightness`, (state) => state.ack);
+				expect(led.val).to.equal(5);
+				const ready = await waitForState(harness, `${prefix}info.ready`, (state) => state.ack);
+				expect(ready.val).to.equal(true);
+			});
+
+			it("should open the lid", async () => {
+				const before = simulator.openCount;
+				await harness.states.setStateAsync(`${prefix}control.open`, { val: true, ack: false });
+				await waitForState(harness, `${prefix}control.open`, (state) => state.ack && state.val === false);
+				expect(simulator.openCount).to.equal(before + 1);
+			});
+
+			it("should merge open requests within the minimum interval", async () => {
+				const before = simulator.openCount;
+				await harness.states.setStateAsync(`${prefix}control.open`, { val: true, ack: false });
+				await harness.states.setStateAsync(`${prefix}control.open`, { val: true, ack: false });
+				await waitForState(harness, `${prefix}control.open`, (state) => state.ack && state.val === false);
+				const result = await waitForState(harness, `${prefix}control.openResult`, (state) => state.ack);
+				expect(result.val).to.equal("ok");
+				expect(simulator.openCount).to.equal(before + 1);
+				const source = await harness.states.getStateAsync(`${prefix}control.openSource`);
+				expect(source.val).to.be.a("string").that.is.not.empty;
+			}).timeout(30000);
+
+			it("should write settings to the device", async () => {
+				await harness.states.setStateAsync(`${prefix}settings.ledBrightness`, { val: 8, ack: false });
+				await waitForState(harness, `${prefix}settings.ledBrightness`, (state) => state.ack && state.val === 8);
+				expect(simulator.settings.led.value).to.equal(8);
+			});
+
+			it("should send a burst of changes in one request and reject values outside the device range", async () => {
+				const posts = () => simulator.requests.filter((request) => request === "POST /settings").length;
+				const before = posts();
+				for (const val of [2, 3, 4]) {
+					await harness.states.setStateAsync(`${prefix}settings.distance`, { val: val + 40, ack: false });
+					await harness.states.setStateAsync(`${prefix}settings.ejectionForce`, { val, ack: false });
+				}
+				await waitForState(harness, `${prefix}settings.distance`, (state) => state.ack && state.val === 44);
+				await waitForState(harness, `${prefix}settings.ejectionForce`, (state) => state.ack && state.val === 4);
+				expect(posts()).to.equal(before + 1);
+
+				await harness.states.setStateAsync(`${prefix}settings.ledBrightness`, { val: 12, ack: false });
+				const led = await waitForState(harness, `${prefix}settings.ledBrightness`, (state) => state.ack);
+				expect(led.val).to.equal(8);
+				expect(posts()).to.equal(before + 1);
+			});
+
+			it("should back up and restore the settings", async () => {
+				const sendTo = (command, message) =>
+					new Promise((resolve) => harness.sendTo("hailo-libero.0", command, message, resolve));
+				const saved = await sendTo("backup", { device: "kitchen" });
+				expect(saved.success).to.equal(true);
+				const led = simulator.settings.led.value;
+				simulator.settings.led.value = led === 1 ? 2 : 1;
+
+				const preview = await sendTo("restore", { device: "kitchen", dryRun: true });
+				expect(preview.changes).to.deep.equal([{ field: "led", from: simulator.settings.led.value, to: led }]);
+				expect(simulator.settings.led.value).to.not.equal(led);
+
+				const restored = await sendTo("restore", { device: "kitchen" });
+				expect(restored.success).to.equal(true);
+				expect(simulator.settings.led.value).to.equal(led);
+			});
+
+			it("should record changes made on the device", async () => {
+				const pwr = simulator.settings.pwr.value === 1 ? 2 : 1;
+				simulator.settings.pwr.value = pwr;
+				const change = await waitForState(harness, `${prefix}events.externalChange`, (state) =>
+					String(state.val).includes(`"to":${pwr}`),
+				);
+				expect(JSON.parse(String(change.val))[0]).to.include({ field: "pwr", source: "external", external: true });
+				const history = await harness.states.getStateAsync(`${prefix}events.settingsHistory`);
+				expect(JSON.parse(String(history.val)).some((entry) => entry.field === "led" && !entry.external)).to.equal(true);
+			});
+
+			it("should refuse openings while locked and restore the settings on unlock", async () => {
+				const distance = simulator.settings.dist.value;
+				await harness.states.setStateAsync(`${prefix}control.locked`, { val: true, ack: false });
+				await waitForState(harness, `${prefix}control.locked`, (state) => state.ack && state.val === true);
+				expect(simulator.settings.dist.value).to.equal(simulator.settings.dist.min);
+
+				const openings = simulator.openCount;
+				await harness.states.setStateAsync(`${prefix}control.open`, { val: true, ack: false });
+				await waitForState(harness, `${prefix}control.open`, (state) => state.ack && state.val === false);
+				expect(simulator.openCount).to.equal(openings);
+
+				await harness.states.setStateAsync(`${prefix}control.locked`, { val: false, ack: false });
+				await waitForState(harness, `${prefix}control.locked`, (state) => state.ack && state.val === false);
+				expect(simulator.settings.dist.value).to.equal(distance);
+			});
+
+			it("should publish the code of the last error and answer messages with it", async () => {
+				simulator.busy = true;
+				const result = await new Promise((resolve) =>
+					harness.sendTo("hailo-libero.0", "getNetwork", { device: "kitchen" }, resolve),
+				);
+				simulator.busy = false;
+				expect(result).to.include({ success: false, code: "EBUSY" });
+				const lastError = await waitForState(harness, `${prefix}info.lastError`, (state) =>
+					String(state.val).startsWith("busy (EBUSY)"),
+				);
+				expect(lastError.ack).to.equal(true);
+			});
+
+			it("should reconnect after a restart", async () => {
+				await harness.states.setStateAsync(`${prefix}control.restart`, { val: true, ack: false });
+				await waitForState(harness, `${prefix}info.connection`, (state) => state.val === false);
+				await waitForState(harness, `${prefix}info.connection`, (state) => state.val === true, 30000);
+			}).timeout(40000);
+		});
+	},
+});